@@ -1,4 +1,5 @@
 // LazyScroll Permissions Page
+import { listCameras, videoConstraints } from '../sidebar/camera.js';
 
 const allowBtn = document.getElementById('allowBtn');
 const status = document.getElementById('status');
@@ -13,10 +14,9 @@ allowBtn.addEventListener('click', async () => {
   status.className = 'status';
 
   try {
-    // Request camera permission
-    const stream = await navigator.mediaDevices.getUserMedia({
-      video: { width: 640, height: 480, facingMode: 'user' }
-    });
+    // Request camera permission, for the camera chosen in the sidebar if there is one
+    const { camera } = await chrome.storage.local.get(['camera']);
+    const stream = await navigator.mediaDevices.getUserMedia(videoConstraints(camera, await listCameras()));
 
     // Show preview
     videoPreview.srcObject = stream;
@@ -0,0 +1,94 @@
+// LazyScroll Calibration - Derives a personal deadzone, pointing threshold and anchor offset
+// from landmarks recorded while the user holds neutral, points up and points down, and the
+// neutral head pose for hands-free mode
+
+import { POINTING_RATIO } from './gestures.js';
+
+// Each step gives the user time to get into position before recording (ms)
+export const CALIBRATION_STEPS = [
+  { id: 'neutral', prompt: 'Point at your resting position and hold still', prepTime: 1500, recordTime: 3000 },
+  { id: 'up', prompt: 'Point up, as high as is comfortable', prepTime: 1500, recordTime: 3000 },
+  { id: 'down', prompt: 'Point down, as low as is comfortable', prepTime: 1500, recordTime: 3000 }
+];
+
+// Hands-free mode only needs the resting head pose
+export const HEAD_CALIBRATION_STEPS = [
+  { id: 'neutral', prompt: 'Look at the page with your head level and hold still', prepTime: 1000, recordTime: 2000 }
+];
+
+// Fewest samples per step for a usable calibration
+const MIN_SAMPLES = 10;
+
+// Lowest index finger threshold calibration will set; frames are only recorded when the
+// hand counts as pointing at this threshold
+export const MIN_POINTING_RATIO = 1.02;
+
+const STEP_NAMES = { neutral: 'holding neutral', up: 'pointing up', down: 'pointing down' };
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(Math.floor(p * sorted.length), sorted.length - 1)];
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// samples: { neutral, up, down }, each a list of { gap, ratio } where gap is anchor.y - tip.y
+// and ratio is the index finger's tip-to-MCP / PIP-to-MCP distance ratio.
+// Throws with a user-facing message when the recording can't produce a usable profile.
+export function deriveCalibration(samples) {
+  for (const step of CALIBRATION_STEPS) {
+    if ((samples[step.id] || []).length < MIN_SAMPLES) {
+      throw new Error(`Couldn't see your pointing hand and anchor while ${STEP_NAMES[step.id]} - try again`);
+    }
+  }
+
+  const neutralGaps = samples.neutral.map((s) => s.gap);
+  const anchorOffset = median(neutralGaps);
+
+  // How far the fingertip wandered while holding still, and how far the user comfortably reaches
+  const jitter = percentile(neutralGaps.map((g) => Math.abs(g - anchorOffset)), 0.95);
+  const reachUp = median(samples.up.map((s) => s.gap)) - anchorOffset;
+  const reachDown = anchorOffset - median(samples.down.map((s) => s.gap));
+
+  if (reachUp <= jitter * 2 || reachDown <= jitter * 2) {
+    throw new Error(`Point further ${reachUp <= reachDown ? 'up' : 'down'} during calibration - try again`);
+  }
+
+  // Wide enough to absorb jitter, narrow enough that half the comfortable reach scrolls
+  const deadzone = clamp(Math.max(jitter * 1.5, 0.02), 0.01, Math.min(Math.min(reachUp, reachDown) * 0.5, 0.3));
+
+  // Just under the least-extended pointing pose the user actually made
+  const ratios = [...samples.neutral, ...samples.up, ...samples.down].map((s) => s.ratio);
+  const pointingRatio = clamp(percentile(ratios, 0.1) * 0.92, MIN_POINTING_RATIO, POINTING_RATIO * 1.3);
+
+  return {
+    anchorOffset,
+    deadzone: Math.round(deadzone * 100) / 100,
+    pointingRatio,
+    createdAt: Date.now()
+  };
+}
+
+// samples: { neutral }, a list of { pitch, noseY } where pitch is null when the face pose
+// matrix wasn't available
+export function deriveHeadCalibration(samples) {
+  const neutral = samples.neutral || [];
+  if (neutral.length < MIN_SAMPLES) {
+    throw new Error("Couldn't see your face - try again");
+  }
+
+  const pitches = neutral.map((s) => s.pitch).filter((pitch) => pitch !== null);
+  return {
+    pitch: pitches.length ? median(pitches) : 0,
+    noseY: median(neutral.map((s) => s.noseY)),
+    createdAt: Date.now()
+  };
+}
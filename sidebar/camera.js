@@ -0,0 +1,44 @@
+// LazyScroll Camera - Webcam choice, resolution and frame rate presets for getUserMedia
+
+export const RESOLUTIONS = {
+  '360p': { width: 640, height: 360 },
+  '480p': { width: 640, height: 480 },
+  '720p': { width: 1280, height: 720 },
+  '1080p': { width: 1920, height: 1080 }
+};
+
+export const FRAME_RATES = [15, 24, 30, 60];
+
+// An empty deviceId means the browser's default (front-facing) camera
+export const DEFAULT_CAMERA = { deviceId: '', resolution: '480p', frameRate: 30 };
+
+// Connected video inputs. Labels are empty until camera permission has been granted.
+export async function listCameras() {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter((device) => device.kind === 'videoinput');
+}
+
+// getUserMedia constraints for the saved camera settings. Resolution and frame rate are ideals,
+// so a camera that can't match them still opens at its nearest mode; a remembered camera that
+// isn't in `cameras` (unplugged) falls back to the default one.
+export function videoConstraints(settings, cameras = []) {
+  const { deviceId, resolution, frameRate } = { ...DEFAULT_CAMERA, ...settings };
+  const { width, height } = RESOLUTIONS[resolution] || RESOLUTIONS[DEFAULT_CAMERA.resolution];
+  const video = {
+    width: { ideal: width },
+    height: { ideal: height },
+    frameRate: { ideal: frameRate }
+  };
+
+  if (deviceId && cameras.some((camera) => camera.deviceId === deviceId)) {
+    video.deviceId = { exact: deviceId };
+  } else {
+    video.facingMode = 'user';
+  }
+  return { video };
+}
+
+// Name to show for a camera, numbered when the browser doesn't expose its label yet
+export function cameraLabel(camera, index) {
+  return camera.label || `Camera ${index + 1}`;
+}
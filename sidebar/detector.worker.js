@@ -0,0 +1,205 @@
+// LazyScroll Detector Worker - Runs hand and face landmark detection off the sidebar UI thread
+// Loaded as a classic worker because the MediaPipe WASM loader relies on importScripts;
+// the vision bundle itself is an ES module, so it is pulled in with import()
+
+let handLandmarker = null;
+let faceLandmarker = null;
+
+// Everything needed to recreate the landmarkers on another delegate
+const runtime = {
+  vision: null,
+  tasks: null,
+  buffers: null,
+  delegate: null,
+  simd: true,
+  allowFallback: false,
+  blendshapes: false
+};
+
+// Model files shipped in lib/models (see `just models`)
+const MODEL_FILES = { hand: 'hand_landmarker.task', face: 'face_landmarker.task' };
+
+const MODEL_NAMES = { hand: 'Hand', face: 'Face' };
+
+// Error that names the model that failed to load
+class ModelLoadError extends Error {
+  constructor(model, file, reason) {
+    super(`${MODEL_NAMES[model]} model (${file}) failed to load: ${reason}`);
+    this.name = 'ModelLoadError';
+    this.model = model;
+  }
+}
+
+// Fetch a packaged model so a missing file and a broken one produce different errors
+async function fetchModel(model, modelPath, file) {
+  let response;
+  try {
+    response = await fetch(`${modelPath}/${file}`);
+  } catch (error) {
+    throw new ModelLoadError(model, file, 'file is not packaged with the extension');
+  }
+  if (!response.ok) {
+    throw new ModelLoadError(model, file, `HTTP ${response.status}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// Pick the SIMD or non-SIMD WASM build explicitly so the active backend can be reported
+async function resolveFileset(FilesetResolver, wasmPath) {
+  const simd = await FilesetResolver.isSimdSupported();
+  const build = simd ? 'vision_wasm_internal' : 'vision_wasm_nosimd_internal';
+  return {
+    simd,
+    fileset: {
+      wasmLoaderPath: `${wasmPath}/${build}.js`,
+      wasmBinaryPath: `${wasmPath}/${build}.wasm`
+    }
+  };
+}
+
+async function createLandmarker(model, Landmarker, delegate, options) {
+  const file = MODEL_FILES[model];
+  try {
+    return await Landmarker.createFromOptions(runtime.vision, {
+      baseOptions: {
+        modelAssetBuffer: runtime.buffers[model],
+        delegate
+      },
+      runningMode: 'VIDEO',
+      ...options
+    });
+  } catch (error) {
+    throw new ModelLoadError(model, file, `${error.message || error} (${delegate} backend)`);
+  }
+}
+
+function closeLandmarkers() {
+  handLandmarker?.close();
+  faceLandmarker?.close();
+  handLandmarker = null;
+  faceLandmarker = null;
+}
+
+async function createLandmarkers(delegate) {
+  const { HandLandmarker, FaceLandmarker } = runtime.tasks;
+
+  handLandmarker = await createLandmarker('hand', HandLandmarker, delegate, {
+    numHands: 1
+  });
+
+  faceLandmarker = await createLandmarker('face', FaceLandmarker, delegate, {
+    numFaces: 1,
+    outputFaceBlendshapes: runtime.blendshapes,
+    outputFacialTransformationMatrixes: true
+  });
+
+  runtime.delegate = delegate;
+}
+
+// Try each delegate in order, keeping the first that works
+async function createWithFallback(delegates) {
+  let lastError = null;
+  for (const delegate of delegates) {
+    try {
+      await createLandmarkers(delegate);
+      return;
+    } catch (error) {
+      console.warn(`[LazyScroll] ${delegate} backend failed:`, error.message);
+      closeLandmarkers();
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+// backend is 'auto' (GPU, falling back to CPU), 'gpu' or 'cpu'. Blendshapes are only
+// computed when expression triggers are on.
+async function initializeModels({ wasmPath, modelPath, backend = 'auto', blendshapes = false }) {
+  runtime.tasks = await import('../lib/vision_bundle.mjs');
+  const { simd, fileset } = await resolveFileset(runtime.tasks.FilesetResolver, wasmPath);
+  runtime.vision = fileset;
+  runtime.simd = simd;
+
+  runtime.buffers = {
+    hand: await fetchModel('hand', modelPath, MODEL_FILES.hand),
+    face: await fetchModel('face', modelPath, MODEL_FILES.face)
+  };
+
+  runtime.blendshapes = blendshapes;
+  runtime.allowFallback = backend === 'auto';
+  const delegates = backend === 'cpu' ? ['CPU'] : backend === 'gpu' ? ['GPU'] : ['GPU', 'CPU'];
+  await createWithFallback(delegates);
+}
+
+// Blendshape categories as a name -> score map
+function blendshapeScores(classifications) {
+  const categories = classifications?.categories;
+  if (!categories) {
+    return null;
+  }
+  return Object.fromEntries(categories.map((category) => [category.categoryName, category.score]));
+}
+
+function backendInfo() {
+  return { delegate: runtime.delegate, simd: runtime.simd };
+}
+
+// Frame is an ImageBitmap or VideoFrame transferred from the sidebar; it is closed here.
+// Either landmarker is skipped when the sidebar doesn't need it (fixed band anchor, hands-free mode).
+function detect(frame, timestamp, { hand = true, face = true } = {}) {
+  try {
+    const handResults = hand ? handLandmarker.detectForVideo(frame, timestamp) : null;
+    const faceResults = face ? faceLandmarker.detectForVideo(frame, timestamp) : null;
+
+    return {
+      hand: handResults?.landmarks?.[0] || null,
+      face: faceResults?.faceLandmarks?.[0] || null,
+      faceMatrix: faceResults?.facialTransformationMatrixes?.[0]?.data || null,
+      blendshapes: blendshapeScores(faceResults?.faceBlendshapes?.[0])
+    };
+  } finally {
+    frame.close();
+  }
+}
+
+// Some GPUs create the delegate fine and only fail on the first inference
+async function fallBackToCpu(error) {
+  console.warn('[LazyScroll] GPU detection failed, switching to CPU:', error.message);
+  closeLandmarkers();
+  runtime.allowFallback = false;
+  await createLandmarkers('CPU');
+  self.postMessage({ type: 'BACKEND', ...backendInfo() });
+}
+
+self.onmessage = async (event) => {
+  const message = event.data;
+
+  if (message.type === 'INIT') {
+    try {
+      await initializeModels(message);
+      self.postMessage({ type: 'READY', ...backendInfo() });
+    } catch (error) {
+      self.postMessage({ type: 'ERROR', message: error.message || String(error), model: error.model || null });
+    }
+  } else if (message.type === 'DETECT') {
+    if (!handLandmarker || !faceLandmarker) {
+      message.frame.close();
+      self.postMessage({ type: 'RESULTS', hand: null, face: null, timestamp: message.timestamp });
+      return;
+    }
+
+    try {
+      const results = detect(message.frame, message.timestamp, message);
+      self.postMessage({ type: 'RESULTS', ...results, timestamp: message.timestamp });
+    } catch (error) {
+      if (runtime.delegate === 'GPU' && runtime.allowFallback) {
+        try {
+          await fallBackToCpu(error);
+        } catch (fallbackError) {
+          self.postMessage({ type: 'ERROR', message: fallbackError.message, model: fallbackError.model || null });
+        }
+      }
+      self.postMessage({ type: 'RESULTS', hand: null, face: null, timestamp: message.timestamp, error: error.message });
+    }
+  }
+};
@@ -0,0 +1,27 @@
+// LazyScroll Expressions - Facial expression triggers from MediaPipe face blendshapes
+
+// Each expression's score (0-1) is derived from one or more blendshape categories
+const EXPRESSION_SCORES = {
+  // Both eyes closed; a normal blink is far shorter than the hold time
+  blink: (b) => Math.min(b.eyeBlinkLeft || 0, b.eyeBlinkRight || 0),
+  brow_raise: (b) => b.browInnerUp || 0,
+  mouth_open: (b) => b.jawOpen || 0,
+  smile: (b) => ((b.mouthSmileLeft || 0) + (b.mouthSmileRight || 0)) / 2
+};
+
+// Threshold the score must exceed and how long it must stay there (ms) to fire
+export const DEFAULT_EXPRESSION_SETTINGS = {
+  blink: { threshold: 0.5, holdTime: 800 },
+  brow_raise: { threshold: 0.6, holdTime: 600 },
+  mouth_open: { threshold: 0.5, holdTime: 600 },
+  smile: { threshold: 0.6, holdTime: 800 }
+};
+
+// blendshapes maps category names to scores, as sent by the detector worker
+export function expressionScores(blendshapes) {
+  const scores = {};
+  for (const [expression, score] of Object.entries(EXPRESSION_SCORES)) {
+    scores[expression] = blendshapes ? score(blendshapes) : 0;
+  }
+  return scores;
+}
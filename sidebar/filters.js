@@ -0,0 +1,83 @@
+// LazyScroll Filters - One-Euro smoothing for landmark positions
+// A low-pass filter whose cutoff rises with speed (Casiez et al., CHI 2012): jitter while the
+// hand is still is removed, while deliberate fast movement gets little lag
+
+function smoothingFactor(elapsedSeconds, cutoff) {
+  const r = 2 * Math.PI * cutoff * elapsedSeconds;
+  return r / (r + 1);
+}
+
+export class OneEuroFilter {
+  constructor({ minCutoff = 1, beta = 2, derivativeCutoff = 1 } = {}) {
+    this.setOptions({ minCutoff, beta, derivativeCutoff });
+    this.reset();
+  }
+
+  setOptions({ minCutoff, beta, derivativeCutoff }) {
+    if (minCutoff !== undefined) this.minCutoff = minCutoff;
+    if (beta !== undefined) this.beta = beta;
+    if (derivativeCutoff !== undefined) this.derivativeCutoff = derivativeCutoff;
+  }
+
+  reset() {
+    this.value = null;
+    this.derivative = 0;
+    this.lastTime = 0;
+  }
+
+  // timestamp is in milliseconds
+  filter(value, timestamp) {
+    if (this.value === null) {
+      this.value = value;
+      this.lastTime = timestamp;
+      return value;
+    }
+
+    const elapsed = Math.max((timestamp - this.lastTime) / 1000, 0.001);
+    this.lastTime = timestamp;
+
+    const rawDerivative = (value - this.value) / elapsed;
+    const derivativeAlpha = smoothingFactor(elapsed, this.derivativeCutoff);
+    this.derivative = derivativeAlpha * rawDerivative + (1 - derivativeAlpha) * this.derivative;
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+    const alpha = smoothingFactor(elapsed, cutoff);
+    this.value = alpha * value + (1 - alpha) * this.value;
+    return this.value;
+  }
+}
+
+// Filters the x and y of a landmark independently; z passes through
+export class PointFilter {
+  constructor(options) {
+    this.x = new OneEuroFilter(options);
+    this.y = new OneEuroFilter(options);
+  }
+
+  setOptions(options) {
+    this.x.setOptions(options);
+    this.y.setOptions(options);
+  }
+
+  reset() {
+    this.x.reset();
+    this.y.reset();
+  }
+
+  filter(point, timestamp) {
+    return {
+      x: this.x.filter(point.x, timestamp),
+      y: this.y.filter(point.y, timestamp),
+      z: point.z
+    };
+  }
+}
+
+// Map a 0-1 smoothing strength to filter options: 0 barely filters (30 Hz minimum cutoff),
+// 1 filters heavily (0.3 Hz)
+export function smoothingOptions(strength) {
+  return {
+    minCutoff: 30 * Math.pow(0.01, strength),
+    beta: 2
+  };
+}
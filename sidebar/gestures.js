@@ -0,0 +1,153 @@
+// LazyScroll Gesture Classifier - Static hand poses from the 21 MediaPipe hand landmarks
+
+// Landmark indices
+const WRIST = 0;
+const THUMB_MCP = 2;
+const THUMB_IP = 3;
+const THUMB_TIP = 4;
+const INDEX_MCP = 5;
+const INDEX_PIP = 6;
+const INDEX_TIP = 8;
+const MIDDLE_MCP = 9;
+
+// [mcp, pip, tip] for the four fingers
+const FINGERS = {
+  index: [5, 6, 8],
+  middle: [9, 10, 12],
+  ring: [13, 14, 16],
+  pinky: [17, 18, 20]
+};
+
+// A finger counts as extended when its tip is this much further from the MCP than its PIP joint
+export const POINTING_RATIO = 1.15;
+
+// Thumb-to-index tip distance, relative to palm size, that counts as a pinch
+const PINCH_RATIO = 0.25;
+
+// Thumb tip offset from its MCP, relative to palm size, for thumbs-up/down
+const THUMB_VERTICAL_RATIO = 0.3;
+
+// Pinch zoom L: smallest thumb-to-index angle (degrees), and the extension ratio the other three
+// fingers must stay under to count as curled
+const ZOOM_MIN_ANGLE = 55;
+const CURLED_RATIO = 1.0;
+
+export const GESTURE_LABELS = {
+  point: 'Pointing',
+  open_palm: 'Open palm',
+  fist: 'Fist',
+  victory: 'Two fingers',
+  thumbs_up: 'Thumbs up',
+  thumbs_down: 'Thumbs down',
+  pinch: 'Pinch',
+  zoom: 'Pinch zoom',
+  none: 'No gesture'
+};
+
+function dist(p1, p2) {
+  return Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+}
+
+// Tip-to-MCP distance over PIP-to-MCP distance; grows as the finger straightens
+export function extensionRatio(hand, finger) {
+  const [mcp, pip, tip] = FINGERS[finger].map((i) => hand[i]);
+  return dist(tip, mcp) / Math.max(dist(pip, mcp), 1e-6);
+}
+
+export function isFingerExtended(hand, finger, ratio = POINTING_RATIO) {
+  return extensionRatio(hand, finger) > ratio;
+}
+
+// Wrist to middle-finger MCP, used to normalize distances for hand size and camera distance
+export function palmSize(hand) {
+  return dist(hand[WRIST], hand[MIDDLE_MCP]);
+}
+
+function isThumbExtended(hand, scale) {
+  return dist(hand[THUMB_TIP], hand[INDEX_MCP]) > scale * 0.5 &&
+    dist(hand[THUMB_TIP], hand[INDEX_MCP]) > dist(hand[THUMB_IP], hand[INDEX_MCP]);
+}
+
+// Angle between the thumb (MCP to tip) and the index finger (MCP to tip), in degrees
+function thumbIndexAngle(hand) {
+  const thumb = { x: hand[THUMB_TIP].x - hand[THUMB_MCP].x, y: hand[THUMB_TIP].y - hand[THUMB_MCP].y };
+  const index = { x: hand[INDEX_TIP].x - hand[INDEX_MCP].x, y: hand[INDEX_TIP].y - hand[INDEX_MCP].y };
+  const lengths = Math.max(Math.hypot(thumb.x, thumb.y) * Math.hypot(index.x, index.y), 1e-6);
+  const cos = (thumb.x * index.x + thumb.y * index.y) / lengths;
+  return Math.acos(Math.min(Math.max(cos, -1), 1)) * 180 / Math.PI;
+}
+
+// Pinch zoom pose: thumb and index finger out in a wide L with the other fingers curled, so a
+// relaxed thumb while pointing doesn't count. Once a zoom is under way (engaged), the other fingers
+// only need to stay folded and the thumb out or pinching, so closing the L keeps zooming.
+export function isZoomPose(hand, { pointingRatio = POINTING_RATIO, engaged = false } = {}) {
+  if (!hand || hand.length < 21) {
+    return false;
+  }
+  const scale = palmSize(hand);
+  if (scale <= 0) {
+    return false;
+  }
+
+  if (engaged) {
+    const folded = ['middle', 'ring', 'pinky'].every((finger) => !isFingerExtended(hand, finger));
+    return folded && (isThumbExtended(hand, scale) || pinchDistance(hand) < PINCH_RATIO);
+  }
+
+  const curled = ['middle', 'ring', 'pinky'].every((finger) => extensionRatio(hand, finger) < CURLED_RATIO);
+  return curled &&
+    isFingerExtended(hand, 'index', pointingRatio) &&
+    isThumbExtended(hand, scale) &&
+    thumbIndexAngle(hand) >= ZOOM_MIN_ANGLE;
+}
+
+// Thumb tip to index tip distance, relative to palm size
+export function pinchDistance(hand) {
+  return dist(hand[THUMB_TIP], hand[INDEX_TIP]) / Math.max(palmSize(hand), 1e-6);
+}
+
+// Classify the hand pose. pointingRatio overrides the index finger threshold (see calibration).
+export function classifyGesture(hand, pointingRatio = POINTING_RATIO) {
+  if (!hand || hand.length < 21) {
+    return 'none';
+  }
+
+  const scale = palmSize(hand);
+  if (scale <= 0) {
+    return 'none';
+  }
+
+  // Pinch: thumb and index tips touching, with the index finger not folded into the palm
+  const tipsClose = dist(hand[THUMB_TIP], hand[INDEX_TIP]) < scale * PINCH_RATIO;
+  const indexFolded = dist(hand[INDEX_TIP], hand[WRIST]) < dist(hand[INDEX_PIP], hand[WRIST]);
+  if (tipsClose && !indexFolded) {
+    return 'pinch';
+  }
+
+  const index = isFingerExtended(hand, 'index', pointingRatio);
+  const middle = isFingerExtended(hand, 'middle');
+  const ring = isFingerExtended(hand, 'ring');
+  const pinky = isFingerExtended(hand, 'pinky');
+
+  if (index && middle && ring && pinky) {
+    return 'open_palm';
+  }
+  if (index && middle && !ring && !pinky) {
+    return 'victory';
+  }
+  if (index) {
+    return 'point';
+  }
+  if (middle || ring || pinky) {
+    return 'none';
+  }
+
+  if (isThumbExtended(hand, scale)) {
+    const rise = hand[THUMB_MCP].y - hand[THUMB_TIP].y;
+    if (rise > scale * THUMB_VERTICAL_RATIO) return 'thumbs_up';
+    if (rise < -scale * THUMB_VERTICAL_RATIO) return 'thumbs_down';
+    return 'none';
+  }
+
+  return 'fist';
+}
@@ -1,5 +1,19 @@
-// LazyScroll Sidebar - Face + Hand Detection with Lip-Relative Scrolling
-import { HandLandmarker, FaceLandmarker, FilesetResolver } from '../lib/vision_bundle.mjs';
+// LazyScroll Sidebar - Face + Hand Detection with Anchor-Relative Scrolling
+// Landmark detection runs in detector.worker.js; this page handles gestures, drawing and settings
+import {
+  classifyGesture, extensionRatio, GESTURE_LABELS, isZoomPose, pinchDistance, POINTING_RATIO
+} from './gestures.js';
+import {
+  ACTIONS, DEFAULT_BINDINGS, EXPRESSION_SOURCES, HELD_SOURCES, POINTING_SOURCES, SOURCE_LABELS
+} from '../src/actions.js';
+import { OneEuroFilter, PointFilter, smoothingOptions } from './filters.js';
+import { DEFAULT_EXPRESSION_SETTINGS, expressionScores } from './expressions.js';
+import { DEFAULT_PROFILE, PROFILE_KEYS, matchesRule, profileForUrl } from '../src/profiles.js';
+import { positionForUrl } from '../src/reading.js';
+import {
+  CALIBRATION_STEPS, deriveCalibration, deriveHeadCalibration, HEAD_CALIBRATION_STEPS, MIN_POINTING_RATIO
+} from './calibration.js';
+import { cameraLabel, DEFAULT_CAMERA, listCameras, videoConstraints } from './camera.js';
 
 // DOM Elements
 const video = document.getElementById('video');
@@ -13,10 +27,87 @@ const scrollSpeedValue = document.getElementById('scrollSpeedValue');
 const deadzoneSlider = document.getElementById('deadzone');
 const deadzoneValue = document.getElementById('deadzoneValue');
 const invertScrollCheckbox = document.getElementById('invertScroll');
+const highlightScrollTargetCheckbox = document.getElementById('highlightScrollTarget');
+const hudEnabledCheckbox = document.getElementById('hudEnabled');
+const hudThumbnailCheckbox = document.getElementById('hudThumbnail');
+const hudPositionSelect = document.getElementById('hudPosition');
+const hudSizeSelect = document.getElementById('hudSize');
+const hudOpacitySlider = document.getElementById('hudOpacity');
+const hudOpacityValue = document.getElementById('hudOpacityValue');
+const scrollAxisSelect = document.getElementById('scrollAxis');
+const horizontalDeadzoneSetting = document.getElementById('horizontalDeadzoneSetting');
+const horizontalDeadzoneSlider = document.getElementById('horizontalDeadzone');
+const horizontalDeadzoneValue = document.getElementById('horizontalDeadzoneValue');
+const gestureHoldTimeSlider = document.getElementById('gestureHoldTime');
+const gestureHoldTimeValue = document.getElementById('gestureHoldTimeValue');
+const inputCooldownSlider = document.getElementById('inputCooldown');
+const inputCooldownValue = document.getElementById('inputCooldownValue');
+const idleTimeoutSlider = document.getElementById('idleTimeout');
+const idleTimeoutValue = document.getElementById('idleTimeoutValue');
+const sleepTimeoutSlider = document.getElementById('sleepTimeout');
+const sleepTimeoutValue = document.getElementById('sleepTimeoutValue');
+const bindingsList = document.getElementById('bindingsList');
+const resetBindingsBtn = document.getElementById('resetBindingsBtn');
+const speedModeSelect = document.getElementById('speedMode');
+const speedCurveSelect = document.getElementById('speedCurve');
+const minSpeedSlider = document.getElementById('minSpeed');
+const minSpeedValue = document.getElementById('minSpeedValue');
+const maxSpeedSlider = document.getElementById('maxSpeed');
+const maxSpeedValue = document.getElementById('maxSpeedValue');
+const fixedSpeedSetting = document.getElementById('fixedSpeedSetting');
+const proportionalSettings = document.getElementById('proportionalSettings');
 const cameraContainer = document.getElementById('cameraContainer');
 const placeholderText = document.getElementById('placeholderText');
 const setupMessage = document.getElementById('setupMessage');
 const controlsSection = document.getElementById('controls');
+const perfStats = document.getElementById('perfStats');
+const cameraDeviceSelect = document.getElementById('cameraDevice');
+const cameraResolutionSelect = document.getElementById('cameraResolution');
+const cameraFrameRateSelect = document.getElementById('cameraFrameRate');
+const modelVariantSelect = document.getElementById('modelVariant');
+const detectionBackendSelect = document.getElementById('detectionBackend');
+const backendStatus = document.getElementById('backendStatus');
+const smoothingSlider = document.getElementById('smoothing');
+const smoothingValue = document.getElementById('smoothingValue');
+const profileSelect = document.getElementById('profileSelect');
+const profileHint = document.getElementById('profileHint');
+const newProfileNameInput = document.getElementById('newProfileName');
+const addProfileBtn = document.getElementById('addProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const siteRulesList = document.getElementById('siteRulesList');
+const addSiteRuleBtn = document.getElementById('addSiteRuleBtn');
+const stepModeSelect = document.getElementById('stepMode');
+const stepRulesDetails = document.getElementById('stepRulesDetails');
+const stepRulesList = document.getElementById('stepRulesList');
+const addStepRuleBtn = document.getElementById('addStepRuleBtn');
+const resumeReadingSetting = document.getElementById('resumeReadingSetting');
+const resumeReadingBtn = document.getElementById('resumeReadingBtn');
+const autoScrollUnitSelect = document.getElementById('autoScrollUnit');
+const autoScrollRateSlider = document.getElementById('autoScrollRate');
+const autoScrollRateValue = document.getElementById('autoScrollRateValue');
+const autoScrollBtn = document.getElementById('autoScrollBtn');
+const readingList = document.getElementById('readingList');
+const expressionTriggersCheckbox = document.getElementById('expressionTriggers');
+const pinchZoomCheckbox = document.getElementById('pinchZoom');
+const expressionsDetails = document.getElementById('expressionsDetails');
+const expressionList = document.getElementById('expressionList');
+const controlModeSelect = document.getElementById('controlMode');
+const headSettings = document.getElementById('headSettings');
+const headSourceSelect = document.getElementById('headSource');
+const headDeadzoneSlider = document.getElementById('headDeadzone');
+const headDeadzoneValue = document.getElementById('headDeadzoneValue');
+const deadzoneSetting = document.getElementById('deadzoneSetting');
+const scrollAnchorSetting = document.getElementById('scrollAnchorSetting');
+const scrollAnchorSelect = document.getElementById('scrollAnchor');
+const bandPositionSetting = document.getElementById('bandPositionSetting');
+const bandPositionSlider = document.getElementById('bandPosition');
+const bandPositionValue = document.getElementById('bandPositionValue');
+const calibrateBtn = document.getElementById('calibrateBtn');
+const resetCalibrationBtn = document.getElementById('resetCalibrationBtn');
+const calibrationStatus = document.getElementById('calibrationStatus');
+const calibrationOverlay = document.getElementById('calibrationOverlay');
+const calibrationPrompt = document.getElementById('calibrationPrompt');
+const calibrationProgress = document.getElementById('calibrationProgress');
 
 // Compact mode elements
 const compactBtn = document.getElementById('compactBtn');
@@ -26,22 +117,144 @@ const fullViewContent = document.getElementById('fullViewContent');
 const compactIndicator = document.getElementById('compactIndicator');
 const compactText = document.getElementById('compactText');
 
+// Detection worker state. One frame is in flight at a time; frames arriving meanwhile are skipped.
+const detector = {
+  worker: null,
+  ready: null,
+  busy: false,
+  lastSent: 0,
+  minInterval: 0,
+  latency: 0,
+  frames: 0,
+  statsTime: 0,
+  backend: '',
+  lastCrash: -Infinity,
+  failures: 0
+};
+
 // State
-let handLandmarker = null;
-let faceLandmarker = null;
 let isTracking = false;
 let isScrolling = false;
+let lastDirection = 'down';
+let lastPointingGesture = 'point_down';
+let lastScrollSpeed = 0;
+let lastHudUpdate = 0;
+let scrollingAxis = 'y';
+let isPaused = false;
+let currentGesture = 'none';
+
+// Held gesture: fires once after being held for gestureHoldTime, re-arms when the pose changes
+const heldGesture = { name: 'none', since: 0, fired: false };
+
+// Expressions work the same way, each with its own threshold and hold time. since is 0 while
+// the expression's score is below its threshold.
+const expressionState = Object.fromEntries(
+  EXPRESSION_SOURCES.map((source) => [source, { since: 0, fired: false, score: 0 }])
+);
 let animationId = null;
 let frameCount = 0;
 
-// Settings (defaults)
-let scrollSpeed = 20;
+// Settings (defaults) - speeds are in pixels per second
+let scrollSpeed = 600;
 let deadzone = 0.05;
 let invertScroll = false;
-
-// Current detection results
+let speedMode = 'fixed';
+let speedCurve = 'linear';
+let minSpeed = 150;
+let maxSpeed = 1800;
+let scrollAxis = 'vertical';
+let horizontalDeadzone = 0.08;
+let stepMode = 'page';
+let stepRules = [];
+let gestureHoldTime = 600;
+let inputCooldown = 1500;
+let idleTimeout = 30;
+let cameraSettings = { ...DEFAULT_CAMERA };
+let autoScrollSettings = { unit: 'wpm', wpm: 180, pxPerSecond: 60 };
+let hudSettings = { enabled: false, position: 'bottom-right', size: 'medium', opacity: 0.85, thumbnail: false };
+
+// Teleprompter auto-scroll running in the active tab; gestures adjust its rate instead of scrolling.
+// It has its own pause, so it can be paused and resumed with the camera off.
+let autoScrolling = false;
+let autoScrollPaused = false;
+let lastAutoScrollAdjust = 0;
+let sleepTimeout = 5;
+let gestureBindings = { ...DEFAULT_BINDINGS };
+let smoothing = 0.5;
+let scrollAnchor = 'lips';
+let bandPosition = 0.5;
+let controlMode = 'hand';
+let headSource = 'pitch';
+let headDeadzone = 8;
+let expressionTriggers = false;
+let pinchZoom = false;
+let expressionSettings = structuredClone(DEFAULT_EXPRESSION_SETTINGS);
+
+// Named settings profiles, the one in use, the per-site rules that pick one, and the active
+// tab's URL as last reported by the background
+let profiles = {};
+let activeProfile = DEFAULT_PROFILE;
+let siteRules = [];
+let siteUrl = null;
+
+// Recent reading positions saved by the background, most recent first
+let readingPositions = [];
+
+// Calibrated profile: how far above the anchor the user's neutral fingertip sits (fraction of
+// frame height) and the index finger extension that counts as pointing
+let calibrationProfile = null;
+let anchorOffset = 0;
+let pointingRatio = POINTING_RATIO;
+
+// Resting head pose for hands-free mode: pitch in degrees and nose tip height in the frame
+let headNeutral = null;
+
+// Why the background is holding off gesture scrolling without the user pausing: 'unfocused'
+// (browser in the background) or 'permissions' (permissions page is the active tab)
+let autoPauseReason = null;
+const AUTO_PAUSE_LABELS = {
+  unfocused: 'Paused while the browser is in the background',
+  permissions: 'Paused on the permissions page'
+};
+
+// Idle manager: 'active' runs full detection, 'idle' a slow presence check after idleTimeout
+// seconds with nobody in view, and 'sleeping' means the camera was turned off after sleepTimeout
+// minutes. lastSeen is when a face or hand was last detected.
+const idle = { state: 'active', lastSeen: 0 };
+
+// Calibration wizard progress; while active, frames are recorded instead of scrolling
+const calibration = { active: false, head: false, steps: CALIBRATION_STEPS, step: 0, stepStart: 0, samples: null };
+
+// Current detection results, held over brief dropouts
 let currentHand = null;
 let currentFace = null;
+let currentFaceMatrix = null;
+let currentBlendshapes = null;
+let lastHandTime = 0;
+let lastFaceTime = 0;
+
+// 'full' detects on every camera frame as captured; 'lite' trades accuracy for CPU (see LITE_*)
+let modelVariant = 'full';
+
+// Smoothed fingertip, scroll anchor (shifted by the calibrated offset), face center and head
+// tilt used for scrolling decisions and drawing
+const tracked = { tip: null, anchor: null, centerX: null, head: null };
+const tipFilter = new PointFilter(smoothingOptions(smoothing));
+const anchorFilter = new PointFilter(smoothingOptions(smoothing));
+const centerFilter = new OneEuroFilter(smoothingOptions(smoothing));
+const headFilter = new OneEuroFilter(smoothingOptions(smoothing));
+
+// Classification only changes once the new gesture has persisted, so one bad frame is ignored
+const gestureState = { stable: 'none', candidate: 'none', since: 0 };
+
+// Pinch zoom scales the page by the thumb-to-index distance relative to where the gesture
+// began. Updates are sent at most this often, and only once the scale moves by a step.
+// The pose must be held for PINCH_ZOOM_HOLD_TIME before zooming starts; since is when it was first
+// seen and active is set once zooming has started.
+const PINCH_ZOOM_INTERVAL = 100;
+const PINCH_ZOOM_STEP = 0.05;
+const PINCH_ZOOM_HOLD_TIME = 300;
+const pinchZoomState = { since: 0, active: false, start: 0, distance: 0, scale: 1, lastSent: 0 };
 
 // Hand skeleton connections for drawing
 const HAND_CONNECTIONS = [
@@ -53,371 +266,2558 @@ const HAND_CONNECTIONS = [
   [5, 9], [9, 13], [13, 17]
 ];
 
-const LIP_CENTER_INDEX = 13;
+const NOSE_TIP_INDEX = 1;
+
+// Face landmarks each anchor follows, averaged when there are several. 'face' uses the
+// bounding box center and 'band' a fixed line in the camera frame, needing no face at all.
+const ANCHOR_LANDMARKS = {
+  lips: [13],
+  nose: [NOSE_TIP_INDEX],
+  eyes: [33, 263],
+  chin: [152]
+};
+
+const ANCHOR_LABELS = {
+  lips: 'lips',
+  nose: 'nose tip',
+  eyes: 'eye line',
+  chin: 'chin',
+  face: 'face center',
+  band: 'fixed band'
+};
+
+// Auto-scroll rate range and the step one adjustment moves it by, per unit
+const AUTO_SCROLL_LIMITS = {
+  wpm: { min: 50, max: 500, step: 10 },
+  px: { min: 10, max: 400, step: 10 }
+};
+
+// While pointing or tilting past the neutral zone in auto-scroll, the rate steps this often (ms)
+const AUTO_SCROLL_ADJUST_INTERVAL = 300;
+
+// The on-page overlay is refreshed at most this often (ms)
+const HUD_UPDATE_INTERVAL = 200;
+
+// Camera thumbnail width sent to the overlay for each size, at twice the displayed width (px)
+const HUD_THUMBNAIL_WIDTHS = { small: 240, medium: 320, large: 480 };
+
+// Above this round-trip detection latency (ms), leave idle time between frames
+const LATENCY_BUDGET = 50;
+
+// Longest gap between frames that idle time may add: scroll commands must keep arriving within
+// the content script's 200 ms and the debugger wheel loop's 250 ms command timeouts (ms)
+const MAX_FRAME_INTERVAL = 150;
+
+// Consecutive failed detections after which tracking stops instead of showing "no hand" forever
+const MAX_DETECT_FAILURES = 10;
+
+// A detection worker that crashes again this soon after being restarted is given up on (ms)
+const WORKER_RESTART_WINDOW = 10000;
+
+// Time between presence checks while idle (ms)
+const PRESENCE_CHECK_INTERVAL = 500;
+
+// Keep the last hand/face when detection drops out for shorter than this (ms)
+const DROPOUT_GRACE = 150;
+
+// Lite detection: frames are downscaled to this width before detection, and in hand mode the face
+// is re-detected at most this often (ms), its last result standing in between. The interval stays
+// under DROPOUT_GRACE so the kept face isn't dropped.
+const LITE_FRAME_WIDTH = 320;
+const LITE_FACE_INTERVAL = 100;
+
+// How long a changed gesture classification must persist before it takes effect (ms)
+const GESTURE_SETTLE_TIME = 100;
+
+// While scrolling, the fingertip must come back inside this fraction of the deadzone to stop
+const DEADZONE_EXIT_RATIO = 0.7;
+
+const OPPOSITE_DIRECTIONS = { up: 'down', down: 'up', left: 'right', right: 'left' };
+
+// Older versions saved speeds as pixels per detection frame, at roughly this frame rate
+const LEGACY_FRAME_RATE = 30;
+
+// How much a speed up/down shortcut changes the scroll speed (px/s)
+const SPEED_STEP = 100;
+
+// Gap beyond the deadzone edge (fraction of frame height) where proportional speed peaks
+const SPEED_RAMP = 0.2;
+
+// Head tilt beyond the head neutral zone (degrees, or % of face height) where speed peaks
+const HEAD_SPEED_RAMP = 15;
+
+// Response curves map normalized distance (0-1) to normalized speed (0-1)
+const SPEED_CURVES = {
+  linear: (t) => t,
+  quadratic: (t) => t * t,
+  exponential: (t) => (Math.exp(3 * t) - 1) / (Math.exp(3) - 1)
+};
+
+// Center and size of the face bounding box
+function faceBounds(face) {
+  let minX = 1;
+  let maxX = 0;
+  let minY = 1;
+  let maxY = 0;
+  for (const point of face) {
+    if (point.x < minX) minX = point.x;
+    if (point.x > maxX) maxX = point.x;
+    if (point.y < minY) minY = point.y;
+    if (point.y > maxY) maxY = point.y;
+  }
+  return { x: (minX + maxX) / 2, y: (minY + maxY) / 2, width: maxX - minX, height: maxY - minY };
+}
+
+// Unsmoothed position of the selected anchor, or null when it needs a face and none is visible
+function anchorPoint(face) {
+  if (scrollAnchor === 'band') {
+    return { x: 0.5, y: bandPosition };
+  }
+  if (!face) {
+    return null;
+  }
+  if (scrollAnchor === 'face') {
+    const { x, y } = faceBounds(face);
+    return { x, y };
+  }
+
+  const points = (ANCHOR_LANDMARKS[scrollAnchor] || ANCHOR_LANDMARKS.lips).map((i) => face[i]);
+  return {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+  };
+}
+
+// Head pitch in degrees, positive when looking up, from the column-major 4x4 facial
+// transformation matrix (rotation about the x axis)
+function headPitch(matrix) {
+  return -Math.atan2(matrix[6], matrix[10]) * 180 / Math.PI;
+}
+
+// Head movement away from the neutral pose, positive when tilted up: degrees of pitch, or nose
+// tip displacement as a percentage of face height. Null until the neutral pose is calibrated.
+function headTilt() {
+  if (!currentFace || !headNeutral) {
+    return null;
+  }
+  if (headSource === 'pitch') {
+    return currentFaceMatrix ? headPitch(currentFaceMatrix) - headNeutral.pitch : null;
+  }
+
+  const { height } = faceBounds(currentFace);
+  return height > 0 ? (headNeutral.noseY - currentFace[NOSE_TIP_INDEX].y) / height * 100 : null;
+}
+
+// Hands-free mode skips the hand landmarker; the fixed band skips the face landmarker
+function needsHand() {
+  return controlMode !== 'head';
+}
+
+function needsFace() {
+  return controlMode === 'head' || scrollAnchor !== 'band' || expressionTriggers;
+}
 
-function dist(p1, p2) {
-  return Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+// Initialize MediaPipe models in the detection worker (once; retried after a failure)
+function initializeModels() {
+  if (!detector.ready) {
+    detector.ready = loadDetector();
+  }
+  return detector.ready;
 }
 
-// Initialize MediaPipe models
-async function initializeModels() {
+async function loadDetector() {
   updateStatus('Loading AI models...');
 
-  try {
-    const wasmPath = chrome.runtime.getURL('lib/wasm');
-    const vision = await FilesetResolver.forVisionTasks(wasmPath);
-
-    handLandmarker = await HandLandmarker.createFromOptions(vision, {
-      baseOptions: {
-        modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
-        delegate: 'GPU'
-      },
-      runningMode: 'VIDEO',
-      numHands: 1
+  const { detectionBackend = 'auto', expressionTriggers = false } =
+    await chrome.storage.local.get(['detectionBackend', 'expressionTriggers']);
+  const worker = new Worker(new URL('detector.worker.js', import.meta.url));
+  const result = await new Promise((resolve) => {
+    worker.onmessage = (event) => resolve(event.data);
+    worker.onerror = (event) => resolve({ type: 'ERROR', message: event.message });
+    worker.postMessage({
+      type: 'INIT',
+      wasmPath: chrome.runtime.getURL('lib/wasm'),
+      modelPath: chrome.runtime.getURL('lib/models'),
+      backend: detectionBackend,
+      blendshapes: expressionTriggers
     });
+  });
+
+  if (result.type !== 'READY') {
+    console.error('[LazyScroll] Failed to init models:', result.message);
+    updateStatus(result.model ? result.message : 'Failed to load detection models', 'error');
+    worker.terminate();
+    detector.ready = null;
+    setBackend(null);
+    return false;
+  }
 
-    faceLandmarker = await FaceLandmarker.createFromOptions(vision, {
-      baseOptions: {
-        modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task',
-        delegate: 'GPU'
-      },
-      runningMode: 'VIDEO',
-      numFaces: 1,
-      outputFaceBlendshapes: false,
-      outputFacialTransformationMatrixes: false
-    });
+  worker.onmessage = handleDetectorMessage;
+  worker.onerror = handleDetectorCrash;
+  detector.worker = worker;
+  setBackend(result);
+  updateStatus('Ready');
+  return true;
+}
 
-    updateStatus('Ready');
+// An uncaught error in the worker loses the frame in flight, which would leave detection waiting
+// forever. Restart the worker with fresh models, unless it keeps crashing.
+function handleDetectorCrash(event) {
+  console.error('[LazyScroll] Detection worker error:', event.message);
+  detector.busy = false;
+
+  const now = performance.now();
+  const repeated = now - detector.lastCrash < WORKER_RESTART_WINDOW;
+  detector.lastCrash = now;
+  if (repeated) {
+    if (isTracking) {
+      stopTracking();
+    }
+    detector.worker?.terminate();
+    detector.worker = null;
+    detector.ready = null;
+    setBackend(null);
+    updateStatus(`Detection stopped: ${event.message || 'worker error'}`, 'error');
+    return;
+  }
+
+  updateStatus('Detection error - reloading models...', 'error');
+  reloadModels();
+}
+
+// The worker answers a frame it couldn't process with an error and no landmarks. Show it and
+// skip the frame, and give up after repeated failures. Returns whether the frame is usable.
+function handleDetectFailure(error) {
+  if (!error) {
+    if (detector.failures) {
+      detector.failures = 0;
+      backendStatus.textContent = `Active: ${detector.backend}`;
+    }
     return true;
-  } catch (error) {
-    console.error('[LazyScroll] Failed to init models:', error);
-    updateStatus('Failed to load detection models', 'error');
-    return false;
+  }
+
+  detector.failures++;
+  backendStatus.textContent = `Detection error: ${error}`;
+  if (detector.failures >= MAX_DETECT_FAILURES) {
+    console.error('[LazyScroll] Detection keeps failing:', error);
+    detector.failures = 0;
+    stopTracking();
+    updateStatus(`Detection failed: ${error}`, 'error');
+  }
+  return false;
+}
+
+// Show which delegate the worker ended up on ('GPU', 'CPU' or 'CPU (no SIMD)')
+function setBackend(info) {
+  if (!info) {
+    detector.backend = '';
+    backendStatus.textContent = 'Not loaded';
+    return;
+  }
+  detector.backend = info.simd ? info.delegate : `${info.delegate} (no SIMD)`;
+  backendStatus.textContent = `Active: ${detector.backend}`;
+}
+
+// Tear down the worker and load models again (e.g. after switching backend), resuming tracking
+async function reloadModels() {
+  const wasTracking = isTracking;
+  if (wasTracking) {
+    stopTracking();
+  }
+
+  if (detector.ready) {
+    await detector.ready;
+  }
+  if (detector.worker) {
+    detector.worker.terminate();
+    detector.worker = null;
+  }
+  detector.ready = null;
+  detector.busy = false;
+
+  const initialized = await initializeModels();
+  if (initialized && wasTracking) {
+    startTracking();
   }
 }
 
-// Main detection loop
+// Main detection loop: hands the current video frame to the worker unless one is still in flight
 function detectFrame() {
-  if (!isTracking || !handLandmarker || !faceLandmarker || !video.videoWidth) {
+  if (!isTracking || !detector.worker) {
     return;
   }
 
-  const startTimeMs = performance.now();
+  animationId = requestAnimationFrame(detectFrame);
 
-  const handResults = handLandmarker.detectForVideo(video, startTimeMs);
-  if (handResults.landmarks && handResults.landmarks.length > 0) {
-    currentHand = handResults.landmarks[0];
-  } else {
-    currentHand = null;
+  const now = performance.now();
+  const idling = idle.state === 'idle';
+  const interval = idling ? PRESENCE_CHECK_INTERVAL : detector.minInterval;
+  if (detector.busy || !video.videoWidth || now - detector.lastSent < interval) {
+    return;
   }
 
-  const faceResults = faceLandmarker.detectForVideo(video, startTimeMs);
-  if (faceResults.faceLandmarks && faceResults.faceLandmarks.length > 0) {
-    currentFace = faceResults.faceLandmarks[0];
-  } else {
+  // Lite mode reuses a recent face while pointing; the anchor moves little between frames
+  const lite = modelVariant === 'lite';
+  const faceFresh = lite && controlMode === 'hand' && now - lastFaceTime < LITE_FACE_INTERVAL;
+
+  detector.busy = true;
+  detector.lastSent = now;
+  captureFrame(lite).then((frame) => {
+    detector.worker.postMessage({
+      type: 'DETECT',
+      frame,
+      timestamp: now,
+      hand: needsHand() && !(idling && needsFace()),
+      face: needsFace() && !faceFresh
+    }, [frame]);
+  }).catch(() => {
+    detector.busy = false;
+  });
+}
+
+// VideoFrame wraps the decoded frame without a copy; ImageBitmap is the fallback, and is used to
+// downscale frames for lite detection. Landmarks are normalized, so nothing else changes.
+async function captureFrame(lite = false) {
+  if (lite && video.videoWidth > LITE_FRAME_WIDTH) {
+    return await createImageBitmap(video, {
+      resizeWidth: LITE_FRAME_WIDTH,
+      resizeHeight: Math.round(video.videoHeight * LITE_FRAME_WIDTH / video.videoWidth),
+      resizeQuality: 'low'
+    });
+  }
+  if (typeof VideoFrame === 'function') {
+    return new VideoFrame(video);
+  }
+  return await createImageBitmap(video);
+}
+
+function handleDetectorMessage(event) {
+  const message = event.data;
+
+  if (message.type === 'BACKEND') {
+    setBackend(message);
+    return;
+  }
+  if (message.type === 'ERROR') {
+    console.error('[LazyScroll] Detection error:', message.message);
+    updateStatus(message.message, 'error');
+    return;
+  }
+  if (message.type !== 'RESULTS') {
+    return;
+  }
+
+  detector.busy = false;
+  if (!isTracking) {
+    return;
+  }
+  if (!handleDetectFailure(message.error)) {
+    return;
+  }
+
+  const now = performance.now();
+  if (!updatePresence(message, now)) {
+    updateHud();
+    return;
+  }
+
+  if (message.hand) {
+    currentHand = message.hand;
+    lastHandTime = now;
+  } else if (now - lastHandTime > DROPOUT_GRACE) {
+    currentHand = null;
+  }
+  if (message.face && needsFace()) {
+    currentFace = message.face;
+    currentFaceMatrix = message.faceMatrix;
+    currentBlendshapes = message.blendshapes;
+    lastFaceTime = now;
+  } else if (now - lastFaceTime > DROPOUT_GRACE) {
     currentFace = null;
+    currentFaceMatrix = null;
+    currentBlendshapes = null;
   }
 
+  updateTrackedPoints(message.timestamp);
+  updateDetectorStats(now - message.timestamp);
+
   processTrackingResults();
   drawInterface();
+  updateHud();
+}
 
-  animationId = requestAnimationFrame(detectFrame);
+// Track whether anyone is in front of the camera, moving between active, idle and sleeping.
+// Returns false when the frame shouldn't be processed any further.
+function updatePresence(message, now) {
+  if (message.face || message.hand) {
+    idle.lastSeen = now;
+  }
+  if (calibration.active) {
+    idle.state = 'active';
+    return true;
+  }
+
+  const absent = now - idle.lastSeen;
+  if (sleepTimeout && absent > sleepTimeout * 60000) {
+    enterSleep();
+    return false;
+  }
+
+  if (idle.state === 'idle') {
+    if (!message.face && !message.hand) {
+      return false;
+    }
+    wakeFromIdle();
+  } else if (idleTimeout && absent > idleTimeout * 1000) {
+    enterIdle();
+    return false;
+  }
+  return true;
+}
+
+// While idle only one model keeps running to notice the user coming back: the face model, or
+// the hand model with the fixed band anchor, which never runs the face model
+function presenceSource() {
+  return needsFace() ? 'face' : 'hand';
+}
+
+function enterIdle() {
+  idle.state = 'idle';
+  stopScrolling();
+  currentHand = null;
+  currentFace = null;
+  currentFaceMatrix = null;
+  currentBlendshapes = null;
+  updateTrackedPoints(0);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  updateStatus(`Idle - gestures resume when your ${presenceSource()} is back in view`);
+  updateCompactStatus();
+}
+
+function wakeFromIdle() {
+  idle.state = 'active';
+  showTrackingStatus();
+  updateCompactStatus();
+}
+
+// Status line for running tracking, after something else (idle, calibration) borrowed it
+function showTrackingStatus() {
+  if (autoScrolling) {
+    showAutoScrollStatus();
+  } else if (isPaused) {
+    updateStatus('Scrolling paused');
+  } else if (autoPauseReason) {
+    updateStatus(AUTO_PAUSE_LABELS[autoPauseReason]);
+  } else {
+    updateStatus('Gestures active', 'active');
+  }
+}
+
+// Turn the camera off entirely; gestures need enabling again by hand or keyboard shortcut
+function enterSleep() {
+  stopTracking();
+  idle.state = 'sleeping';
+  updateStatus(`Camera off - nobody seen for ${sleepTimeout} min`);
+  updateCompactStatus();
+}
+
+// Run the fingertip and anchors through the smoothing filters, resetting them when lost
+function updateTrackedPoints(timestamp) {
+  if (currentHand?.[8]) {
+    tracked.tip = tipFilter.filter(currentHand[8], timestamp);
+  } else {
+    tipFilter.reset();
+    tracked.tip = null;
+  }
+
+  // Without a face (fixed band), horizontal scrolling is relative to the middle of the frame
+  const point = anchorPoint(currentFace);
+  if (point) {
+    const filtered = anchorFilter.filter(point, timestamp);
+    tracked.anchor = { ...filtered, y: filtered.y - anchorOffset };
+    tracked.centerX = currentFace ? centerFilter.filter(faceBounds(currentFace).x, timestamp) : 0.5;
+  } else {
+    anchorFilter.reset();
+    centerFilter.reset();
+    tracked.anchor = null;
+    tracked.centerX = null;
+  }
+
+  const tilt = controlMode === 'head' ? headTilt() : null;
+  if (tilt !== null) {
+    tracked.head = headFilter.filter(tilt, timestamp);
+  } else {
+    headFilter.reset();
+    tracked.head = null;
+  }
+}
+
+function applySmoothing() {
+  const options = smoothingOptions(smoothing);
+  tipFilter.setOptions(options);
+  anchorFilter.setOptions(options);
+  centerFilter.setOptions(options);
+  headFilter.setOptions(options);
+}
+
+function stabilizeGesture(gesture) {
+  const now = performance.now();
+
+  if (gesture === gestureState.stable) {
+    gestureState.candidate = gesture;
+    return gesture;
+  }
+  if (gesture !== gestureState.candidate) {
+    gestureState.candidate = gesture;
+    gestureState.since = now;
+  }
+  if (now - gestureState.since >= GESTURE_SETTLE_TIME) {
+    gestureState.stable = gesture;
+  }
+  return gestureState.stable;
+}
+
+// Smoothed round-trip latency and detection rate. Slow machines get idle time between
+// frames so detection doesn't saturate the CPU.
+function updateDetectorStats(latency) {
+  detector.latency = detector.latency ? detector.latency * 0.9 + latency * 0.1 : latency;
+  detector.minInterval = detector.latency > LATENCY_BUDGET
+    ? Math.min(detector.latency * 1.5, MAX_FRAME_INTERVAL)
+    : 0;
+  detector.frames++;
+
+  const now = performance.now();
+  const elapsed = now - detector.statsTime;
+  if (elapsed >= 1000) {
+    const fps = (detector.frames * 1000) / elapsed;
+    perfStats.textContent = `${detector.backend} · ${Math.round(fps)} fps · ${Math.round(detector.latency)} ms`;
+    detector.frames = 0;
+    detector.statsTime = now;
+  }
 }
 
 // Main scroll logic
 function processTrackingResults() {
-  if (!currentHand || !currentFace || !isTracking) {
+  if (calibration.active) {
+    updateCalibration();
+    stopScrolling();
+    return;
+  }
+
+  updateExpressions();
+
+  if (controlMode === 'head') {
+    processHeadTracking();
+    return;
+  }
+
+  if (!currentHand || !isTracking) {
+    currentGesture = stabilizeGesture('none');
+    updateHeldGesture('none');
+    resetPinchZoom();
     stopScrolling();
     return;
   }
 
-  const indexTip = currentHand[8];
-  const indexPip = currentHand[6];
-  const indexMcp = currentHand[5];
-  const lipCenter = currentFace[LIP_CENTER_INDEX];
+  currentGesture = stabilizeGesture(classifyHandPose(currentHand));
+  updateHeldGesture(currentGesture);
 
-  if (!indexTip || !indexPip || !indexMcp || !lipCenter) {
+  if (currentGesture === 'zoom' && !isPaused) {
     stopScrolling();
+    updatePinchZoom();
     return;
   }
+  resetPinchZoom();
 
-  const tipToMcp = dist(indexTip, indexMcp);
-  const pipToMcp = dist(indexPip, indexMcp);
-  const isPointed = tipToMcp > pipToMcp * 1.15;
+  if (currentGesture !== 'point' || isPaused) {
+    stopScrolling();
+    return;
+  }
 
-  const gap = lipCenter.y - indexTip.y;
-  const absGap = Math.abs(gap);
+  const indexTip = tracked.tip;
+  const anchor = tracked.anchor;
 
-  if (!isPointed) {
+  if (!indexTip || !anchor) {
     stopScrolling();
     return;
   }
 
-  if (absGap > deadzone) {
-    isScrolling = true;
-    const direction = gap > 0 ? 'up' : 'down';
-    const actualDirection = invertScroll ? (direction === 'up' ? 'down' : 'up') : direction;
+  // Auto-scroll: pointing above or below the neutral zone changes the rate instead of scrolling
+  if (autoScrolling) {
+    const gap = anchor.y - indexTip.y;
+    if (Math.abs(gap) > deadzone) {
+      adjustAutoScrollToward(gap > 0 ? 'up' : 'down');
+    }
+    return;
+  }
+
+  // The camera frame isn't mirrored, so a fingertip left of the face center is on the user's right
+  const gap = anchor.y - indexTip.y;
+  const gapX = tracked.centerX - indexTip.x;
+
+  // Hysteresis: entering needs the full deadzone, leaving needs the narrower exit threshold
+  const zoneY = isScrolling && scrollingAxis === 'y' ? deadzone * DEADZONE_EXIT_RATIO : deadzone;
+  const zoneX = isScrolling && scrollingAxis === 'x' ? horizontalDeadzone * DEADZONE_EXIT_RATIO : horizontalDeadzone;
+
+  // How far past each deadzone the fingertip is; the axis with the larger excess wins in "both" mode
+  const excessY = scrollAxis !== 'horizontal' ? Math.abs(gap) - zoneY : -1;
+  const excessX = scrollAxis !== 'vertical' ? Math.abs(gapX) - zoneX : -1;
+
+  if (excessY <= 0 && excessX <= 0) {
+    stopScrolling();
+    return;
+  }
 
-    sendScrollCommand(actualDirection, scrollSpeed);
+  let direction;
+  let speed;
+  if (excessY >= excessX) {
+    scrollingAxis = 'y';
+    direction = gap > 0 ? 'up' : 'down';
+    speed = computeScrollSpeed(Math.abs(gap), deadzone);
   } else {
+    scrollingAxis = 'x';
+    direction = gapX > 0 ? 'right' : 'left';
+    speed = computeScrollSpeed(Math.abs(gapX), horizontalDeadzone);
+  }
+
+  // Bindings follow the physical pointing direction; invert only flips the scroll direction
+  isScrolling = true;
+  sendScrollCommand(`point_${direction}`, invertScroll ? OPPOSITE_DIRECTIONS[direction] : direction, speed);
+}
+
+// With pinch zoom on, a wide L of thumb and index finger zooms instead of pointing, and closing it
+// into a pinch keeps zooming rather than starting the pinch gesture
+function classifyHandPose(hand) {
+  const gesture = classifyGesture(hand, pointingRatio);
+  const engaged = pinchZoomState.active;
+  if (pinchZoom && (engaged || gesture === 'point') && isZoomPose(hand, { pointingRatio, engaged })) {
+    return 'zoom';
+  }
+  return gesture;
+}
+
+function resetPinchZoom() {
+  pinchZoomState.since = 0;
+  pinchZoomState.active = false;
+}
+
+function updatePinchZoom() {
+  const distance = pinchDistance(currentHand);
+  const now = performance.now();
+
+  if (!pinchZoomState.active) {
+    if (!pinchZoomState.since) {
+      pinchZoomState.since = now;
+    }
+    if (now - pinchZoomState.since < PINCH_ZOOM_HOLD_TIME) {
+      return;
+    }
+    Object.assign(pinchZoomState, { active: true, start: distance, distance, scale: 1, lastSent: now });
+    sendZoom(1, true);
+    return;
+  }
+
+  // Fingertip jitter is large next to the pinch distance, so smooth it before scaling
+  pinchZoomState.distance = pinchZoomState.distance * 0.7 + distance * 0.3;
+  const scale = pinchZoomState.distance / pinchZoomState.start;
+  if (Math.abs(scale - pinchZoomState.scale) < PINCH_ZOOM_STEP || now - pinchZoomState.lastSent < PINCH_ZOOM_INTERVAL) {
+    return;
+  }
+  pinchZoomState.scale = scale;
+  pinchZoomState.lastSent = now;
+  sendZoom(scale, false);
+}
+
+// Hands-free mode: tilting the head past its neutral zone scrolls up or down, ignoring bindings
+function processHeadTracking() {
+  currentGesture = stabilizeGesture('none');
+  updateHeldGesture('none');
+
+  if (isPaused || tracked.head === null) {
+    stopScrolling();
+    return;
+  }
+
+  const zone = isScrolling ? headDeadzone * DEADZONE_EXIT_RATIO : headDeadzone;
+  if (Math.abs(tracked.head) <= zone) {
     stopScrolling();
+    return;
+  }
+
+  if (autoScrolling) {
+    adjustAutoScrollToward(tracked.head > 0 ? 'up' : 'down');
+    return;
   }
+
+  const direction = tracked.head > 0 ? 'up' : 'down';
+  const speed = computeScrollSpeed(Math.abs(tracked.head), headDeadzone, HEAD_SPEED_RAMP);
+  scrollingAxis = 'y';
+  isScrolling = true;
+  sendScrollCommand(null, invertScroll ? OPPOSITE_DIRECTIONS[direction] : direction, speed);
 }
 
-function stopScrolling() {
-  isScrolling = false;
+// Action bound to a held gesture or expression, or null if it does nothing. An open palm always
+// pauses auto-scroll.
+function heldGestureAction(gesture) {
+  if (autoScrolling && gesture === 'open_palm') {
+    return 'pause';
+  }
+  const held = HELD_SOURCES.includes(gesture) || EXPRESSION_SOURCES.includes(gesture);
+  const action = held ? gestureBindings[gesture] : null;
+  return action && action !== 'none' ? action : null;
 }
 
-function sendScrollCommand(direction, speed) {
-  chrome.runtime.sendMessage({
-    type: 'SCROLL_COMMAND',
-    direction,
-    speed
-  }).catch(() => {});
+// Pausing is handled here; while paused, nothing else fires
+function triggerHeldAction(source, action) {
+  if (action === 'pause') {
+    togglePause();
+  } else if (!isPaused) {
+    sendGesture(source);
+  }
 }
 
-// Draw visual feedback
-function drawInterface() {
-  if (!canvas || !isTracking) return;
+function updateHeldGesture(gesture) {
+  const now = performance.now();
+
+  if (gesture !== heldGesture.name) {
+    heldGesture.name = gesture;
+    heldGesture.since = now;
+    heldGesture.fired = false;
+    return;
+  }
+
+  const action = heldGestureAction(gesture);
+  if (!action || heldGesture.fired || now - heldGesture.since < gestureHoldTime) {
+    return;
+  }
+
+  heldGesture.fired = true;
+  triggerHeldAction(gesture, action);
+}
+
+// Fire each expression held above its threshold for its hold time
+function updateExpressions() {
+  if (!expressionTriggers) {
+    return;
+  }
+
+  const now = performance.now();
+  const scores = expressionScores(currentBlendshapes);
+  for (const source of EXPRESSION_SOURCES) {
+    const state = expressionState[source];
+    const { threshold, holdTime } = expressionSettings[source];
+    state.score = scores[source];
+
+    if (state.score < threshold) {
+      state.since = 0;
+      state.fired = false;
+      continue;
+    }
+    if (!state.since) {
+      state.since = now;
+    }
+
+    const action = heldGestureAction(source);
+    if (action && !state.fired && now - state.since >= holdTime) {
+      state.fired = true;
+      triggerHeldAction(source, action);
+    }
+  }
+
+  if (expressionsDetails.open) {
+    updateExpressionLevels();
+  }
+}
+
+// Hold progress (0-1) of the current gesture, or null if it has no action
+function heldGestureProgress() {
+  if (!heldGestureAction(heldGesture.name)) {
+    return null;
+  }
+  return heldGesture.fired ? 1 : Math.min((performance.now() - heldGesture.since) / gestureHoldTime, 1);
+}
+
+// While auto-scrolling, pausing pauses the auto-scroll only
+function togglePause() {
+  if (autoScrolling) {
+    toggleAutoScrollPause();
+    return;
+  }
+
+  isPaused = !isPaused;
+  stopScrolling();
+  sendAction('stop');
+
+  if (isPaused) {
+    const resumeGesture = controlMode === 'hand' &&
+      HELD_SOURCES.find((source) => gestureBindings[source] === 'pause');
+    updateStatus(resumeGesture
+      ? `Scrolling paused - hold ${SOURCE_LABELS[resumeGesture].toLowerCase()} to resume`
+      : 'Scrolling paused');
+  } else if (autoPauseReason) {
+    updateStatus(AUTO_PAUSE_LABELS[autoPauseReason]);
+  } else {
+    updateStatus('Gestures active', 'active');
+  }
+  updateTrackingState();
+}
+
+// Begin the calibration wizard for the current control mode, starting the camera first if needed
+async function startCalibration() {
+  if (!isTracking) {
+    await startTracking();
+    if (!isTracking || calibration.active) return;
+  }
+
+  calibration.active = true;
+  calibration.head = controlMode === 'head';
+  calibration.steps = calibration.head ? HEAD_CALIBRATION_STEPS : CALIBRATION_STEPS;
+  calibration.step = 0;
+  calibration.stepStart = performance.now();
+  calibration.samples = Object.fromEntries(calibration.steps.map((step) => [step.id, []]));
+
+  stopScrolling();
+  sendAction('stop');
+  calibrateBtn.textContent = 'Cancel calibration';
+  calibrationOverlay.classList.remove('hidden');
+  updateStatus('Calibrating...', 'active');
+  updateTrackingState();
+}
+
+function endCalibration() {
+  calibration.active = false;
+  calibration.samples = null;
+  calibrateBtn.textContent = 'Calibrate';
+  calibrationOverlay.classList.add('hidden');
+  updateTrackingState();
+}
+
+// Raw (unsmoothed) calibration sample for the current frame, or null if it can't be used.
+// Hand frames only count while the hand is pointing, even weakly, and the anchor is visible.
+function calibrationSample() {
+  if (calibration.head) {
+    return currentFace ? {
+      pitch: currentFaceMatrix ? headPitch(currentFaceMatrix) : null,
+      noseY: currentFace[NOSE_TIP_INDEX].y
+    } : null;
+  }
+
+  const point = anchorPoint(currentFace);
+  if (!currentHand || !point || classifyGesture(currentHand, MIN_POINTING_RATIO) !== 'point') {
+    return null;
+  }
+  return {
+    gap: point.y - currentHand[8].y,
+    ratio: extensionRatio(currentHand, 'index')
+  };
+}
+
+// Record samples for the current step and advance when its time is up
+function updateCalibration() {
+  const steps = calibration.steps;
+  const step = steps[calibration.step];
+  const elapsed = performance.now() - calibration.stepStart;
+
+  const sample = elapsed >= step.prepTime ? calibrationSample() : null;
+  if (sample) {
+    calibration.samples[step.id].push(sample);
+  }
+
+  if (elapsed >= step.prepTime + step.recordTime) {
+    calibration.step++;
+    calibration.stepStart = performance.now();
+    if (calibration.step >= steps.length) {
+      finishCalibration();
+      return;
+    }
+  }
+
+  const current = steps[calibration.step];
+  const recorded = Math.max(performance.now() - calibration.stepStart - current.prepTime, 0);
+  calibrationPrompt.textContent = steps.length > 1
+    ? `${calibration.step + 1}/${steps.length}: ${current.prompt}`
+    : current.prompt;
+  calibrationProgress.style.width = `${Math.min(recorded / current.recordTime, 1) * 100}%`;
+}
+
+function finishCalibration() {
+  const { samples, head } = calibration;
+  endCalibration();
+
+  if (head) {
+    try {
+      const profile = deriveHeadCalibration(samples);
+      applyHeadCalibration(profile);
+      chrome.storage.local.set({ headCalibration: profile });
+      updateStatus('Neutral head position saved', 'active');
+    } catch (error) {
+      updateStatus(error.message, 'error');
+    }
+    return;
+  }
+
+  try {
+    const profile = { ...deriveCalibration(samples), anchor: scrollAnchor };
+    applyCalibration(profile);
+    deadzone = profile.deadzone;
+    deadzoneSlider.value = deadzone;
+    deadzoneValue.textContent = `${Math.round(deadzone * 100)}%`;
+    saveSettings({ calibration: profile, deadzone });
+    updateStatus('Calibration saved', 'active');
+  } catch (error) {
+    updateStatus(error.message, 'error');
+  }
+}
+
+// Use a saved calibration profile, or the defaults when profile is missing. The anchor offset
+// was measured against one anchor, so it is ignored while a different anchor is selected.
+function applyCalibration(profile) {
+  calibrationProfile = profile;
+  const sameAnchor = (profile?.anchor || 'lips') === scrollAnchor;
+  anchorOffset = profile && sameAnchor ? profile.anchorOffset : 0;
+  pointingRatio = profile?.pointingRatio ?? POINTING_RATIO;
+  updateCalibrationStatus();
+}
+
+function applyHeadCalibration(profile) {
+  headNeutral = profile;
+  headFilter.reset();
+  updateCalibrationStatus();
+}
+
+// Describe the calibration used by the current control mode
+function updateCalibrationStatus() {
+  if (controlMode === 'head') {
+    calibrationStatus.textContent = headNeutral
+      ? `Neutral head position set on ${new Date(headNeutral.createdAt).toLocaleDateString()}`
+      : 'Calibrate to set your neutral head position';
+    resetCalibrationBtn.disabled = !headNeutral;
+    return;
+  }
+
+  const profile = calibrationProfile;
+  if (!profile) {
+    calibrationStatus.textContent = 'Not calibrated - using defaults';
+  } else if ((profile.anchor || 'lips') !== scrollAnchor) {
+    calibrationStatus.textContent = `Calibrated for the ${ANCHOR_LABELS[profile.anchor || 'lips']} - recalibrate for this anchor`;
+  } else {
+    calibrationStatus.textContent = `Calibrated on ${new Date(profile.createdAt).toLocaleDateString()}`;
+  }
+  resetCalibrationBtn.disabled = !profile;
+}
+
+// Hands-free mode can't scroll without a neutral head pose, so ask for one straight away
+function ensureHeadNeutral() {
+  if (controlMode === 'head' && !headNeutral && isTracking && !calibration.active) {
+    startCalibration();
+  }
+}
+
+// Fixed speed, or min-max speed scaled by how far the fingertip (or head) is past the deadzone edge
+function computeScrollSpeed(absGap, zone, ramp = SPEED_RAMP) {
+  if (speedMode !== 'proportional') {
+    return scrollSpeed;
+  }
+
+  const t = Math.min(Math.max((absGap - zone) / ramp, 0), 1);
+  const curve = SPEED_CURVES[speedCurve] || SPEED_CURVES.linear;
+  return Math.round(minSpeed + (maxSpeed - minSpeed) * curve(t));
+}
+
+// Speed 0 tells the content script the gesture was released so it can coast to a stop
+function stopScrolling() {
+  if (isScrolling) {
+    sendScrollCommand(lastPointingGesture, lastDirection, 0);
+  }
+  isScrolling = false;
+}
+
+// Run an action directly, bypassing bindings
+function sendAction(action) {
+  chrome.runtime.sendMessage({
+    type: 'SCROLL_COMMAND',
+    action
+  }).catch(() => {});
+}
+
+// The background resolves gestures to actions using the saved bindings
+function sendGesture(gesture) {
+  chrome.runtime.sendMessage({
+    type: 'SCROLL_COMMAND',
+    gesture
+  }).catch(() => {});
+}
+
+// begin marks the start of a pinch zoom gesture, whose scale is relative to the zoom at that point
+function sendZoom(scale, begin) {
+  chrome.runtime.sendMessage({
+    type: 'SCROLL_COMMAND',
+    action: 'zoom',
+    scale,
+    begin
+  }).catch(() => {});
+}
+
+// gesture is null for head movement, which always scrolls
+function sendScrollCommand(gesture, direction, speed) {
+  lastPointingGesture = gesture;
+  lastDirection = direction;
+  lastScrollSpeed = speed;
+  chrome.runtime.sendMessage({
+    type: 'SCROLL_COMMAND',
+    ...(gesture ? { gesture } : { action: 'scroll' }),
+    direction,
+    speed
+  }).catch(() => {});
+}
+
+// Draw visual feedback
+function drawInterface() {
+  if (!canvas || !isTracking) return;
+
+  const width = canvas.width;
+  const height = canvas.height;
+  frameCount++;
+
+  ctx.save();
+  ctx.clearRect(0, 0, width, height);
+  ctx.scale(-1, 1);
+  ctx.translate(-width, 0);
+
+  if (controlMode === 'head') {
+    drawHeadGauge(width, height);
+  }
+
+  const handMode = controlMode === 'hand';
+  if (handMode && scrollAxis !== 'vertical' && tracked.centerX !== null) {
+    drawHorizontalDeadzone(width, height);
+  }
+
+  if (handMode && scrollAxis !== 'horizontal' && tracked.anchor) {
+    const activeY = isScrolling && scrollingAxis === 'y';
+    const anchor = tracked.anchor;
+    const ly = anchor.y * height;
+    const lx = anchor.x * width;
+    const dzPixels = deadzone * height;
+
+    if (speedMode === 'proportional') {
+      drawSpeedZones(ly, dzPixels, width, height);
+    }
+
+    ctx.fillStyle = activeY ? 'rgba(34, 211, 238, 0.15)' : 'rgba(255, 255, 255, 0.08)';
+    ctx.fillRect(0, ly - dzPixels, width, dzPixels * 2);
+
+    ctx.beginPath();
+    ctx.setLineDash([8, 8]);
+    ctx.moveTo(0, ly - dzPixels);
+    ctx.lineTo(width, ly - dzPixels);
+    ctx.moveTo(0, ly + dzPixels);
+    ctx.lineTo(width, ly + dzPixels);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.beginPath();
+    ctx.moveTo(0, ly);
+    ctx.lineTo(width, ly);
+    ctx.strokeStyle = activeY ? 'rgba(34, 211, 238, 0.8)' : 'rgba(255, 255, 255, 0.4)';
+    ctx.lineWidth = activeY ? 3 : 2;
+    ctx.stroke();
+
+    // The fixed band has no landmark to mark
+    if (scrollAnchor !== 'band') {
+      ctx.beginPath();
+      ctx.arc(lx, ly, 6, 0, 2 * Math.PI);
+      ctx.fillStyle = activeY ? '#22d3ee' : '#ffffff';
+      ctx.fill();
+      ctx.strokeStyle = activeY ? '#0891b2' : '#666666';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+  }
+
+  if (currentHand) {
+    const indexTip = tracked.tip || currentHand[8];
+    const tx = indexTip.x * width;
+    const ty = indexTip.y * height;
+
+    ctx.strokeStyle = 'rgba(0, 255, 100, 0.6)';
+    ctx.lineWidth = 2;
+    HAND_CONNECTIONS.forEach(([start, end]) => {
+      const p1 = currentHand[start];
+      const p2 = currentHand[end];
+      if (p1 && p2) {
+        ctx.beginPath();
+        ctx.moveTo(p1.x * width, p1.y * height);
+        ctx.lineTo(p2.x * width, p2.y * height);
+        ctx.stroke();
+      }
+    });
+
+    drawGestureProgress(width, height);
+
+    if (isScrolling && scrollingAxis === 'x' && tracked.centerX !== null) {
+      drawHorizontalIndicator(tx, ty, width);
+    } else if (isScrolling && tracked.anchor) {
+      const lipY = tracked.anchor.y * height;
+      const dzPixels = deadzone * height;
+      const targetY = ty < lipY ? lipY - dzPixels : lipY + dzPixels;
+      const diff = lipY - ty;
+      const color = diff > 0 ? '#22d3ee' : '#fb7185';
+      const absDiff = Math.abs(diff);
+
+      const gradient = ctx.createLinearGradient(tx, targetY, tx, ty);
+      gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
+      gradient.addColorStop(1, color);
+
+      ctx.beginPath();
+      ctx.moveTo(tx, targetY);
+      ctx.lineTo(tx, ty);
+      ctx.strokeStyle = gradient;
+      ctx.lineWidth = 4;
+      ctx.stroke();
+
+      if (absDiff > dzPixels + 10) {
+        const numChevrons = 3;
+        const spacing = 15;
+        const offset = (frameCount % 30) / 30 * spacing;
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        for (let i = 0; i < numChevrons; i++) {
+          const cy = diff > 0 ? ty + (i * spacing) + offset : ty - (i * spacing) - offset;
+          ctx.beginPath();
+          ctx.moveTo(tx - 6, cy + (diff > 0 ? 6 : -6));
+          ctx.lineTo(tx, cy);
+          ctx.lineTo(tx + 6, cy + (diff > 0 ? 6 : -6));
+          ctx.stroke();
+        }
+      }
+
+      ctx.beginPath();
+      ctx.arc(tx, ty, 10, 0, 2 * Math.PI);
+      ctx.fillStyle = color;
+      ctx.shadowBlur = 20;
+      ctx.shadowColor = color;
+      ctx.fill();
+      ctx.shadowBlur = 0;
+    } else {
+      ctx.beginPath();
+      ctx.arc(tx, ty, 8, 0, 2 * Math.PI);
+      ctx.fillStyle = '#00ff66';
+      ctx.fill();
+      ctx.strokeStyle = '#006622';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+  }
+
+  if (expressionTriggers && currentFace) {
+    drawExpressionProgress(width, height);
+  }
+
+  ctx.restore();
+}
+
+// Mirrored camera frame with the landmark overlay, composed as the sidebar shows it
+const hudCanvas = document.createElement('canvas');
+const hudCtx = hudCanvas.getContext('2d');
+
+function hudThumbnail() {
+  if (!video.videoWidth) {
+    return null;
+  }
+
+  const width = HUD_THUMBNAIL_WIDTHS[hudSettings.size] || HUD_THUMBNAIL_WIDTHS.medium;
+  const height = Math.round(width * video.videoHeight / video.videoWidth);
+  hudCanvas.width = width;
+  hudCanvas.height = height;
+  hudCtx.save();
+  hudCtx.scale(-1, 1);
+  hudCtx.translate(-width, 0);
+  hudCtx.drawImage(video, 0, 0, width, height);
+  hudCtx.drawImage(canvas, 0, 0, width, height);
+  hudCtx.restore();
+  return hudCanvas.toDataURL('image/jpeg', 0.7);
+}
+
+// What the overlay says below the status when nothing is scrolling
+function hudDetail() {
+  if (autoScrolling) {
+    return `Auto-scroll · ${formatAutoScrollRate()}`;
+  }
+  if (controlMode === 'head') {
+    return currentFace ? 'Face detected' : 'No face detected';
+  }
+  return currentHand ? GESTURE_LABELS[currentGesture] : 'No hand detected';
+}
+
+// Send the current state to the on-page overlay in the active tab
+function updateHud() {
+  const now = performance.now();
+  if (!hudSettings.enabled || now - lastHudUpdate < HUD_UPDATE_INTERVAL) {
+    return;
+  }
+  lastHudUpdate = now;
+
+  const waiting = calibration.active || idle.state === 'idle' || isPaused || autoPauseReason;
+  chrome.runtime.sendMessage({
+    type: 'HUD_UPDATE',
+    visible: true,
+    text: trackingStateLabel(),
+    tone: waiting ? 'paused' : 'active',
+    direction: isScrolling ? lastDirection : null,
+    speed: lastScrollSpeed,
+    detail: hudDetail(),
+    thumbnail: hudSettings.thumbnail ? hudThumbnail() : null
+  }).catch(() => {});
+}
+
+function hideHud() {
+  chrome.runtime.sendMessage({ type: 'HUD_UPDATE', visible: false }).catch(() => {});
+}
+
+function saveHudSettings(values) {
+  hudSettings = { ...hudSettings, ...values };
+  chrome.storage.local.set({ hud: hudSettings });
+}
+
+function updateHudUI() {
+  hudEnabledCheckbox.checked = hudSettings.enabled;
+  hudThumbnailCheckbox.checked = hudSettings.thumbnail;
+  hudPositionSelect.value = hudSettings.position;
+  hudSizeSelect.value = hudSettings.size;
+  hudOpacitySlider.value = hudSettings.opacity;
+  hudOpacityValue.textContent = `${Math.round(hudSettings.opacity * 100)}%`;
+}
+
+hudEnabledCheckbox.addEventListener('change', () => {
+  saveHudSettings({ enabled: hudEnabledCheckbox.checked });
+});
+
+hudThumbnailCheckbox.addEventListener('change', () => {
+  saveHudSettings({ thumbnail: hudThumbnailCheckbox.checked });
+});
+
+hudPositionSelect.addEventListener('change', () => {
+  saveHudSettings({ position: hudPositionSelect.value });
+});
+
+hudSizeSelect.addEventListener('change', () => {
+  saveHudSettings({ size: hudSizeSelect.value });
+});
+
+hudOpacitySlider.addEventListener('input', () => {
+  const opacity = parseFloat(hudOpacitySlider.value);
+  hudOpacityValue.textContent = `${Math.round(opacity * 100)}%`;
+  saveHudSettings({ opacity });
+});
+
+// Hold progress bars above the face for bound expressions currently past their threshold
+function drawExpressionProgress(width, height) {
+  const face = faceBounds(currentFace);
+  const cx = face.x * width;
+  let y = (face.y - face.height / 2) * height - 12;
+
+  ctx.font = '600 12px -apple-system, BlinkMacSystemFont, sans-serif';
+  ctx.textAlign = 'center';
+
+  for (const source of EXPRESSION_SOURCES) {
+    const state = expressionState[source];
+    const action = heldGestureAction(source);
+    if (!state.since || !action) continue;
+
+    const progress = state.fired ? 1 : Math.min((performance.now() - state.since) / expressionSettings[source].holdTime, 1);
+    const color = state.fired ? '#fbbf24' : '#ffffff';
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.fillRect(cx - 50, y, 100, 4);
+    ctx.fillStyle = color;
+    ctx.fillRect(cx - 50, y, 100 * progress, 4);
+    ctx.fillText(`${SOURCE_LABELS[source]}: ${ACTIONS[action]}`, cx, y - 6);
+    y -= 28;
+  }
+}
+
+// Gauge of head tilt against the head neutral zone, plus a marker on the nose tip
+function drawHeadGauge(width, height) {
+  const range = headDeadzone + HEAD_SPEED_RAMP;
+  const halfLength = height * 0.4;
+  const scale = halfLength / range;
+  const gx = width - 24;
+  const cy = height / 2;
+  const zonePixels = headDeadzone * scale;
+  const tilt = tracked.head;
+  const color = !isScrolling || tilt === null ? '#ffffff' : tilt > 0 ? '#22d3ee' : '#fb7185';
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+  ctx.fillRect(gx - 6, cy - halfLength, 12, halfLength * 2);
+  ctx.fillStyle = isScrolling ? 'rgba(34, 211, 238, 0.15)' : 'rgba(255, 255, 255, 0.25)';
+  ctx.fillRect(gx - 6, cy - zonePixels, 12, zonePixels * 2);
+
+  if (tilt !== null) {
+    const clamped = Math.min(Math.max(tilt, -range), range);
+    ctx.beginPath();
+    ctx.arc(gx, cy - clamped * scale, 8, 0, 2 * Math.PI);
+    ctx.fillStyle = color;
+    ctx.fill();
+  }
+
+  if (currentFace) {
+    const nose = currentFace[NOSE_TIP_INDEX];
+    ctx.beginPath();
+    ctx.arc(nose.x * width, nose.y * height, 6, 0, 2 * Math.PI);
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.strokeStyle = '#666666';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+}
+
+// Ring around the palm filling up while a gesture is held, with its name
+function drawGestureProgress(width, height) {
+  const progress = heldGestureProgress();
+  if (progress === null) return;
+
+  const palm = currentHand[9];
+  const px = palm.x * width;
+  const py = palm.y * height;
+  const color = heldGesture.fired ? '#fbbf24' : '#ffffff';
+
+  ctx.beginPath();
+  ctx.arc(px, py, 22, 0, 2 * Math.PI);
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+  ctx.lineWidth = 4;
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.arc(px, py, 22, -Math.PI / 2, -Math.PI / 2 + progress * 2 * Math.PI);
+  ctx.strokeStyle = color;
+  ctx.stroke();
+
+  ctx.font = '600 13px -apple-system, BlinkMacSystemFont, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.fillStyle = color;
+  ctx.fillText(`${GESTURE_LABELS[heldGesture.name]}: ${ACTIONS[heldGestureAction(heldGesture.name)]}`, px, py + 42);
+}
+
+// Vertical neutral band around the face center for horizontal scrolling
+function drawHorizontalDeadzone(width, height) {
+  const cx = tracked.centerX * width;
+  const dzPixels = horizontalDeadzone * width;
+  const active = isScrolling && scrollingAxis === 'x';
+
+  ctx.fillStyle = active ? 'rgba(34, 211, 238, 0.12)' : 'rgba(255, 255, 255, 0.06)';
+  ctx.fillRect(cx - dzPixels, 0, dzPixels * 2, height);
+
+  ctx.beginPath();
+  ctx.setLineDash([8, 8]);
+  ctx.moveTo(cx - dzPixels, 0);
+  ctx.lineTo(cx - dzPixels, height);
+  ctx.moveTo(cx + dzPixels, 0);
+  ctx.lineTo(cx + dzPixels, height);
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
+// Trail from the nearest band edge to the fingertip while scrolling sideways
+function drawHorizontalIndicator(tx, ty, width) {
+  const cx = tracked.centerX * width;
+  const dzPixels = horizontalDeadzone * width;
+  const edgeX = tx < cx ? cx - dzPixels : cx + dzPixels;
+  const color = tx < cx ? '#22d3ee' : '#fb7185';
+
+  const gradient = ctx.createLinearGradient(edgeX, ty, tx, ty);
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
+  gradient.addColorStop(1, color);
+
+  ctx.beginPath();
+  ctx.moveTo(edgeX, ty);
+  ctx.lineTo(tx, ty);
+  ctx.strokeStyle = gradient;
+  ctx.lineWidth = 4;
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.arc(tx, ty, 10, 0, 2 * Math.PI);
+  ctx.fillStyle = color;
+  ctx.shadowBlur = 20;
+  ctx.shadowColor = color;
+  ctx.fill();
+  ctx.shadowBlur = 0;
+}
+
+// Shade the ramp beyond each deadzone edge by speed, and mark where max speed begins
+function drawSpeedZones(ly, dzPixels, width, height) {
+  const rampPixels = SPEED_RAMP * height;
+  const curve = SPEED_CURVES[speedCurve] || SPEED_CURVES.linear;
+
+  [-1, 1].forEach((side) => {
+    const edgeY = ly + side * dzPixels;
+    const maxY = edgeY + side * rampPixels;
+
+    const gradient = ctx.createLinearGradient(0, edgeY, 0, maxY);
+    for (let i = 0; i <= 4; i++) {
+      const t = i / 4;
+      gradient.addColorStop(t, `rgba(251, 191, 36, ${(0.04 + curve(t) * 0.22).toFixed(3)})`);
+    }
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, Math.min(edgeY, maxY), width, rampPixels);
+
+    ctx.fillStyle = 'rgba(251, 191, 36, 0.26)';
+    ctx.fillRect(0, side < 0 ? 0 : maxY, width, side < 0 ? Math.max(maxY, 0) : Math.max(height - maxY, 0));
+
+    ctx.beginPath();
+    ctx.setLineDash([4, 6]);
+    ctx.moveTo(0, maxY);
+    ctx.lineTo(width, maxY);
+    ctx.strokeStyle = 'rgba(251, 191, 36, 0.7)';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.setLineDash([]);
+  });
+}
+
+// Open the chosen camera (or the default one if it isn't connected) into the video element
+async function openCamera() {
+  const cameras = await listCameras();
+  const stream = await navigator.mediaDevices.getUserMedia(videoConstraints(cameraSettings, cameras));
+
+  // Unplugging the camera ends the track; switch over rather than leave a frozen frame
+  const track = stream.getVideoTracks()[0];
+  track.addEventListener('ended', () => {
+    if (video.srcObject === stream) {
+      switchCamera();
+    }
+  });
+
+  video.srcObject = stream;
+  await video.play();
+
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+
+  // Labels only become available once the camera is open
+  refreshCameraList();
+}
+
+function closeCamera() {
+  if (video.srcObject) {
+    video.srcObject.getTracks().forEach(track => track.stop());
+    video.srcObject = null;
+  }
+}
+
+function currentCameraId() {
+  return video.srcObject?.getVideoTracks()[0]?.getSettings().deviceId || '';
+}
+
+function currentCameraName() {
+  return video.srcObject?.getVideoTracks()[0]?.label || 'default camera';
+}
+
+// Reopen the camera after a settings change or when the current one disappears. Unplugging
+// can end the track and fire devicechange together, so overlapping calls share one switch.
+let cameraSwitch = null;
+
+function switchCamera() {
+  if (!isTracking) {
+    return null;
+  }
+  if (!cameraSwitch) {
+    cameraSwitch = reopenCamera().finally(() => {
+      cameraSwitch = null;
+    });
+  }
+  return cameraSwitch;
+}
+
+async function reopenCamera() {
+  const previousId = currentCameraId();
+  closeCamera();
+  try {
+    await openCamera();
+    const cameras = await listCameras();
+    const lost = previousId && !cameras.some((camera) => camera.deviceId === previousId);
+    updateStatus(lost ? `Camera disconnected - using ${currentCameraName()}` : `Using ${currentCameraName()}`,
+      'active');
+  } catch (error) {
+    console.error('[LazyScroll] Camera error:', error);
+    stopTracking();
+    updateStatus('Camera error: ' + error.message, 'error');
+  }
+}
+
+// Fill the camera picker with the connected cameras
+async function refreshCameraList() {
+  let cameras = [];
+  try {
+    cameras = await listCameras();
+  } catch (error) {
+    console.error('[LazyScroll] Could not list cameras:', error);
+  }
+
+  cameraDeviceSelect.innerHTML = '';
+  cameraDeviceSelect.appendChild(new Option('Default camera', ''));
+  cameras.forEach((camera, index) => {
+    if (camera.deviceId) {
+      cameraDeviceSelect.appendChild(new Option(cameraLabel(camera, index), camera.deviceId));
+    }
+  });
+
+  const remembered = cameras.some((camera) => camera.deviceId === cameraSettings.deviceId);
+  cameraDeviceSelect.value = remembered ? cameraSettings.deviceId : '';
+  return cameras;
+}
+
+// A camera was plugged in or removed: switch away from one that's gone, or back to the
+// remembered camera when it returns
+navigator.mediaDevices.addEventListener('devicechange', async () => {
+  const cameras = await refreshCameraList();
+  if (!isTracking) {
+    return;
+  }
+
+  const ids = cameras.map((camera) => camera.deviceId);
+  const activeId = currentCameraId();
+  const track = video.srcObject?.getVideoTracks()[0];
+  if (!track || track.readyState === 'ended' || (activeId && !ids.includes(activeId))) {
+    switchCamera();
+  } else if (cameraSettings.deviceId && activeId !== cameraSettings.deviceId &&
+    ids.includes(cameraSettings.deviceId)) {
+    switchCamera();
+  }
+});
+
+function saveCameraSettings(values) {
+  cameraSettings = { ...cameraSettings, ...values };
+  chrome.storage.local.set({ camera: cameraSettings });
+  switchCamera();
+}
+
+cameraDeviceSelect.addEventListener('change', () => {
+  saveCameraSettings({ deviceId: cameraDeviceSelect.value });
+});
+
+cameraResolutionSelect.addEventListener('change', () => {
+  saveCameraSettings({ resolution: cameraResolutionSelect.value });
+});
+
+cameraFrameRateSelect.addEventListener('change', () => {
+  saveCameraSettings({ frameRate: parseInt(cameraFrameRateSelect.value) });
+});
+
+// Start camera and tracking
+async function startTracking() {
+  const initialized = await initializeModels();
+  if (!initialized) return;
+
+  try {
+    updateStatus('Starting camera...');
+    await openCamera();
+
+    placeholder.classList.add('hidden');
+    perfStats.textContent = '';
+    perfStats.classList.remove('hidden');
+    detector.statsTime = performance.now();
+    detector.frames = 0;
+
+    isTracking = true;
+    idle.state = 'active';
+    idle.lastSeen = performance.now();
+    updateStatus('Gestures active', 'active');
+    startBtn.textContent = 'Disable Gestures';
+    startBtn.classList.add('active');
+    updateTrackingState();
+
+    detectFrame();
+    ensureHeadNeutral();
+  } catch (error) {
+    console.error('[LazyScroll] Camera error:', error);
+    if (error.name === 'NotAllowedError') {
+      updateStatus('Camera access denied', 'error');
+    } else {
+      updateStatus('Camera error: ' + error.message, 'error');
+    }
+  }
+}
+
+// Stop tracking
+function stopTracking() {
+  if (calibration.active) {
+    endCalibration();
+  }
+  isTracking = false;
+  isScrolling = false;
+  isPaused = false;
+  idle.state = 'active';
+
+  if (animationId) {
+    cancelAnimationFrame(animationId);
+    animationId = null;
+  }
+
+  closeCamera();
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  placeholder.classList.remove('hidden');
+  perfStats.classList.add('hidden');
+  currentHand = null;
+  currentFace = null;
+  currentFaceMatrix = null;
+  currentBlendshapes = null;
+  updateTrackedPoints(0);
+  hideHud();
+
+  updateStatus('Ready');
+  startBtn.innerHTML = `
+    <span class="btn-icon">
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
+        <path d="M7 11.5V14m0-2.5v-6a1.5 1.5 0 1 1 3 0m-3 6a1.5 1.5 0 1 0-3 0v3c0 4.418 3.582 8 8 8s8-3.582 8-8v-1.5m-4-6.5v8m0-8a1.5 1.5 0 0 0-3 0m3 0a1.5 1.5 0 0 1 3 0m0 0v1.5m0 0a1.5 1.5 0 0 1 3 0v4.5"/>
+      </svg>
+    </span>
+    Enable Gestures
+  `;
+  startBtn.classList.remove('active');
+  updateTrackingState();
+}
+
+function updateStatus(text, className = '') {
+  statusEl.textContent = text;
+  statusEl.className = 'status ' + className;
+}
+
+// Event Listeners
+startBtn.addEventListener('click', () => {
+  if (isTracking) {
+    stopTracking();
+  } else {
+    startTracking();
+  }
+});
+
+scrollSpeedSlider.addEventListener('input', () => {
+  scrollSpeed = parseInt(scrollSpeedSlider.value);
+  scrollSpeedValue.textContent = `${scrollSpeed} px/s`;
+  saveSettings({ scrollSpeed });
+});
+
+deadzoneSlider.addEventListener('input', () => {
+  deadzone = parseFloat(deadzoneSlider.value);
+  deadzoneValue.textContent = `${Math.round(deadzone * 100)}%`;
+  saveSettings({ deadzone });
+});
+
+invertScrollCheckbox.addEventListener('change', () => {
+  invertScroll = invertScrollCheckbox.checked;
+  saveSettings({ invertScroll });
+});
+
+// Read directly by the content script, which outlines the element it scrolls
+highlightScrollTargetCheckbox.addEventListener('change', () => {
+  chrome.storage.local.set({ highlightScrollTarget: highlightScrollTargetCheckbox.checked });
+});
+
+smoothingSlider.addEventListener('input', () => {
+  smoothing = parseFloat(smoothingSlider.value);
+  smoothingValue.textContent = `${Math.round(smoothing * 100)}%`;
+  applySmoothing();
+  chrome.storage.local.set({ smoothing });
+});
+
+calibrateBtn.addEventListener('click', () => {
+  if (calibration.active) {
+    endCalibration();
+    showTrackingStatus();
+  } else {
+    startCalibration();
+  }
+});
+
+resetCalibrationBtn.addEventListener('click', () => {
+  if (controlMode === 'head') {
+    applyHeadCalibration(null);
+    chrome.storage.local.remove('headCalibration');
+  } else {
+    applyCalibration(null);
+    chrome.storage.local.remove('calibration');
+  }
+});
+
+gestureHoldTimeSlider.addEventListener('input', () => {
+  gestureHoldTime = parseInt(gestureHoldTimeSlider.value);
+  gestureHoldTimeValue.textContent = `${gestureHoldTime} ms`;
+  chrome.storage.local.set({ gestureHoldTime });
+});
+
+function formatIdleTimeout(value) {
+  return value ? `${value} s` : 'Off';
+}
+
+function formatSleepTimeout(value) {
+  return value ? `${value} min` : 'Never';
+}
+
+idleTimeoutSlider.addEventListener('input', () => {
+  idleTimeout = parseInt(idleTimeoutSlider.value);
+  idleTimeoutValue.textContent = formatIdleTimeout(idleTimeout);
+  chrome.storage.local.set({ idleTimeout });
+});
+
+sleepTimeoutSlider.addEventListener('input', () => {
+  sleepTimeout = parseInt(sleepTimeoutSlider.value);
+  sleepTimeoutValue.textContent = formatSleepTimeout(sleepTimeout);
+  chrome.storage.local.set({ sleepTimeout });
+});
+
+function formatInputCooldown(value) {
+  return value ? `${value / 1000} s` : 'Off';
+}
+
+inputCooldownSlider.addEventListener('input', () => {
+  inputCooldown = parseInt(inputCooldownSlider.value);
+  inputCooldownValue.textContent = formatInputCooldown(inputCooldown);
+  chrome.storage.local.set({ inputCooldown });
+});
+
+// One action picker per gesture; 'scroll' only makes sense for pointing
+function renderBindings() {
+  bindingsList.innerHTML = '';
+
+  [...POINTING_SOURCES, ...HELD_SOURCES, ...EXPRESSION_SOURCES].forEach((source) => {
+    const row = document.createElement('div');
+    row.className = 'binding-row';
+
+    const label = document.createElement('span');
+    label.textContent = SOURCE_LABELS[source];
+
+    const select = document.createElement('select');
+    Object.entries(ACTIONS).forEach(([action, text]) => {
+      if (action === 'scroll' && !POINTING_SOURCES.includes(source)) return;
+      select.add(new Option(text, action));
+    });
+    select.value = gestureBindings[source];
+    select.addEventListener('change', () => {
+      gestureBindings[source] = select.value;
+      saveSettings({ gestureBindings });
+    });
+
+    row.append(label, select);
+    bindingsList.append(row);
+  });
+}
+
+// Threshold and hold time sliders per expression, with the live score next to the threshold
+function renderExpressionSettings() {
+  expressionList.innerHTML = '';
+
+  EXPRESSION_SOURCES.forEach((source) => {
+    const settings = expressionSettings[source];
+    const row = document.createElement('div');
+    row.className = 'expression-row';
+
+    const title = document.createElement('div');
+    title.className = 'expression-title';
+    const name = document.createElement('span');
+    name.textContent = SOURCE_LABELS[source];
+    const level = document.createElement('span');
+    level.className = 'expression-level';
+    level.dataset.source = source;
+    title.append(name, level);
+
+    const threshold = expressionSlider('Threshold', 0.1, 0.95, 0.05, settings.threshold,
+      (value) => `${Math.round(value * 100)}%`, (value) => { settings.threshold = value; });
+    const holdTime = expressionSlider('Hold', 200, 3000, 100, settings.holdTime,
+      (value) => `${value} ms`, (value) => { settings.holdTime = value; });
+
+    row.append(title, threshold, holdTime);
+    expressionList.append(row);
+  });
+}
+
+function expressionSlider(labelText, min, max, step, value, format, update) {
+  const row = document.createElement('label');
+  row.className = 'slider-row expression-slider';
+
+  const label = document.createElement('span');
+  label.textContent = labelText;
+
+  const input = document.createElement('input');
+  input.type = 'range';
+  input.min = min;
+  input.max = max;
+  input.step = step;
+  input.value = value;
+
+  const output = document.createElement('span');
+  output.className = 'expression-value';
+  output.textContent = format(value);
+
+  input.addEventListener('input', () => {
+    const newValue = parseFloat(input.value);
+    output.textContent = format(newValue);
+    update(newValue);
+    chrome.storage.local.set({ expressionSettings });
+  });
+
+  row.append(label, input, output);
+  return row;
+}
+
+function updateExpressionLevels() {
+  expressionList.querySelectorAll('.expression-level').forEach((level) => {
+    const state = expressionState[level.dataset.source];
+    level.textContent = `now ${Math.round(state.score * 100)}%`;
+    level.classList.toggle('active', state.since > 0);
+  });
+}
+
+// Blendshapes are a landmarker option, so toggling them reloads the models
+expressionTriggersCheckbox.addEventListener('change', async () => {
+  expressionTriggers = expressionTriggersCheckbox.checked;
+  await chrome.storage.local.set({ expressionTriggers });
+  reloadModels();
+});
+
+pinchZoomCheckbox.addEventListener('change', () => {
+  pinchZoom = pinchZoomCheckbox.checked;
+  resetPinchZoom();
+  chrome.storage.local.set({ pinchZoom });
+});
+
+resetBindingsBtn.addEventListener('click', () => {
+  gestureBindings = { ...DEFAULT_BINDINGS };
+  saveSettings({ gestureBindings });
+  renderBindings();
+});
+
+modelVariantSelect.addEventListener('change', () => {
+  modelVariant = modelVariantSelect.value;
+  chrome.storage.local.set({ modelVariant });
+});
+
+detectionBackendSelect.addEventListener('change', async () => {
+  await chrome.storage.local.set({ detectionBackend: detectionBackendSelect.value });
+  reloadModels();
+});
+
+// Per-site block selectors for smart step mode
+function renderStepRules() {
+  stepRulesList.innerHTML = '';
+
+  stepRules.forEach((rule, index) => {
+    const row = document.createElement('div');
+    row.className = 'site-rule-row';
+
+    const pattern = document.createElement('input');
+    pattern.type = 'text';
+    pattern.value = rule.pattern;
+    pattern.placeholder = 'example.com';
+    pattern.addEventListener('change', () => {
+      rule.pattern = pattern.value.trim();
+      chrome.storage.local.set({ stepRules });
+    });
+
+    const selector = document.createElement('input');
+    selector.type = 'text';
+    selector.value = rule.selector;
+    selector.placeholder = 'article, .post';
+    selector.addEventListener('change', () => {
+      rule.selector = selector.value.trim();
+      chrome.storage.local.set({ stepRules });
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'btn-remove';
+    remove.title = 'Remove rule';
+    remove.textContent = '×';
+    remove.addEventListener('click', () => {
+      stepRules.splice(index, 1);
+      chrome.storage.local.set({ stepRules });
+      renderStepRules();
+    });
+
+    row.append(pattern, selector, remove);
+    stepRulesList.append(row);
+  });
+}
+
+stepModeSelect.addEventListener('change', () => {
+  stepMode = stepModeSelect.value;
+  stepRulesDetails.classList.toggle('hidden', stepMode !== 'smart');
+  chrome.storage.local.set({ stepMode });
+});
+
+// Hostname of the active tab, for new rules. Asks for the tab directly in case the background
+// hasn't reported a page yet; empty if the URL isn't available, for the user to fill in.
+async function currentHostname() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    return new URL(tab?.url || siteUrl).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+addStepRuleBtn.addEventListener('click', async () => {
+  const pattern = await currentHostname();
+  stepRules.push({ pattern, selector: '' });
+  chrome.storage.local.set({ stepRules });
+  renderStepRules();
+});
+
+scrollAxisSelect.addEventListener('change', () => {
+  scrollAxis = scrollAxisSelect.value;
+  horizontalDeadzoneSetting.classList.toggle('hidden', scrollAxis === 'vertical');
+  chrome.storage.local.set({ scrollAxis });
+});
+
+function formatHeadDeadzone() {
+  return headSource === 'pitch' ? `${headDeadzone}°` : `${headDeadzone}%`;
+}
+
+// Hand-only settings are hidden in hands-free mode
+function updateControlModeUI() {
+  const head = controlMode === 'head';
+  headSettings.classList.toggle('hidden', !head);
+  scrollAnchorSetting.classList.toggle('hidden', head);
+  deadzoneSetting.classList.toggle('hidden', head);
+  bandPositionSetting.classList.toggle('hidden', head || scrollAnchor !== 'band');
+  updateCalibrationStatus();
+}
+
+controlModeSelect.addEventListener('change', () => {
+  controlMode = controlModeSelect.value;
+  if (calibration.active) {
+    endCalibration();
+  }
+  stopScrolling();
+  updateControlModeUI();
+  chrome.storage.local.set({ controlMode });
+  ensureHeadNeutral();
+});
+
+headSourceSelect.addEventListener('change', () => {
+  headSource = headSourceSelect.value;
+  headDeadzoneValue.textContent = formatHeadDeadzone();
+  headFilter.reset();
+  chrome.storage.local.set({ headSource });
+});
+
+headDeadzoneSlider.addEventListener('input', () => {
+  headDeadzone = parseInt(headDeadzoneSlider.value);
+  headDeadzoneValue.textContent = formatHeadDeadzone();
+  chrome.storage.local.set({ headDeadzone });
+});
+
+// Switching anchors moves the neutral line, so restart smoothing from the new position
+scrollAnchorSelect.addEventListener('change', () => {
+  scrollAnchor = scrollAnchorSelect.value;
+  bandPositionSetting.classList.toggle('hidden', scrollAnchor !== 'band');
+  anchorFilter.reset();
+  applyCalibration(calibrationProfile);
+  saveSettings({ scrollAnchor });
+});
+
+bandPositionSlider.addEventListener('input', () => {
+  bandPosition = parseFloat(bandPositionSlider.value);
+  bandPositionValue.textContent = `${Math.round(bandPosition * 100)}%`;
+  chrome.storage.local.set({ bandPosition });
+});
+
+horizontalDeadzoneSlider.addEventListener('input', () => {
+  horizontalDeadzone = parseFloat(horizontalDeadzoneSlider.value);
+  horizontalDeadzoneValue.textContent = `${Math.round(horizontalDeadzone * 100)}%`;
+  chrome.storage.local.set({ horizontalDeadzone });
+});
+
+function updateSpeedModeUI() {
+  const proportional = speedMode === 'proportional';
+  fixedSpeedSetting.classList.toggle('hidden', proportional);
+  proportionalSettings.classList.toggle('hidden', !proportional);
+}
+
+speedModeSelect.addEventListener('change', () => {
+  speedMode = speedModeSelect.value;
+  updateSpeedModeUI();
+  saveSettings({ speedMode });
+});
+
+speedCurveSelect.addEventListener('change', () => {
+  speedCurve = speedCurveSelect.value;
+  saveSettings({ speedCurve });
+});
+
+// Keep min <= max by dragging the other slider along
+minSpeedSlider.addEventListener('input', () => {
+  minSpeed = parseInt(minSpeedSlider.value);
+  if (minSpeed > maxSpeed) {
+    maxSpeed = minSpeed;
+    maxSpeedSlider.value = maxSpeed;
+    maxSpeedValue.textContent = `${maxSpeed} px/s`;
+  }
+  minSpeedValue.textContent = `${minSpeed} px/s`;
+  saveSettings({ minSpeed, maxSpeed });
+});
+
+maxSpeedSlider.addEventListener('input', () => {
+  maxSpeed = parseInt(maxSpeedSlider.value);
+  if (maxSpeed < minSpeed) {
+    minSpeed = maxSpeed;
+    minSpeedSlider.value = minSpeed;
+    minSpeedValue.textContent = `${minSpeed} px/s`;
+  }
+  maxSpeedValue.textContent = `${maxSpeed} px/s`;
+  saveSettings({ minSpeed, maxSpeed });
+});
+
+// Show the settings a profile covers; missing keys keep their current value
+function applyProfileSettings(settings) {
+  if (settings.scrollSpeed !== undefined) {
+    scrollSpeed = settings.scrollSpeed;
+    scrollSpeedSlider.value = scrollSpeed;
+    scrollSpeedValue.textContent = `${scrollSpeed} px/s`;
+  }
+  if (settings.deadzone !== undefined) {
+    deadzone = settings.deadzone;
+    deadzoneSlider.value = deadzone;
+    deadzoneValue.textContent = `${Math.round(deadzone * 100)}%`;
+  }
+  if (settings.invertScroll !== undefined) {
+    invertScroll = settings.invertScroll;
+    invertScrollCheckbox.checked = invertScroll;
+  }
+  if (settings.speedMode !== undefined) {
+    speedMode = settings.speedMode;
+    speedModeSelect.value = speedMode;
+  }
+  if (settings.speedCurve !== undefined) {
+    speedCurve = settings.speedCurve;
+    speedCurveSelect.value = speedCurve;
+  }
+  if (settings.minSpeed !== undefined) {
+    minSpeed = settings.minSpeed;
+    minSpeedSlider.value = minSpeed;
+    minSpeedValue.textContent = `${minSpeed} px/s`;
+  }
+  if (settings.maxSpeed !== undefined) {
+    maxSpeed = settings.maxSpeed;
+    maxSpeedSlider.value = maxSpeed;
+    maxSpeedValue.textContent = `${maxSpeed} px/s`;
+  }
+  if (settings.scrollAnchor !== undefined) {
+    scrollAnchor = settings.scrollAnchor;
+    scrollAnchorSelect.value = scrollAnchor;
+    anchorFilter.reset();
+  }
+  gestureBindings = { ...DEFAULT_BINDINGS, ...settings.gestureBindings };
+  renderBindings();
+  updateSpeedModeUI();
+}
+
+function currentProfileSettings() {
+  return {
+    scrollSpeed,
+    speedMode,
+    speedCurve,
+    minSpeed,
+    maxSpeed,
+    deadzone,
+    invertScroll,
+    scrollAnchor,
+    gestureBindings: { ...gestureBindings }
+  };
+}
+
+// Save settings globally, and into the active profile for the keys profiles cover
+function saveSettings(values) {
+  chrome.storage.local.set(values);
+
+  const profileValues = Object.entries(values).filter(([key]) => PROFILE_KEYS.includes(key));
+  if (profileValues.length && profiles[activeProfile]) {
+    Object.assign(profiles[activeProfile], structuredClone(Object.fromEntries(profileValues)));
+    chrome.storage.local.set({ profiles });
+  }
+}
+
+// Load a profile into the sidebar and into the global keys the background reads
+function switchProfile(name) {
+  activeProfile = profiles[name] ? name : DEFAULT_PROFILE;
+  const settings = structuredClone(profiles[activeProfile]);
+  applyProfileSettings(settings);
+  applyCalibration(calibrationProfile);
+  updateControlModeUI();
+  chrome.storage.local.set({ ...settings, activeProfile });
+  renderProfiles();
+  updateTrackingState();
+}
+
+// The background reports the active tab's URL and the profile its site rules pick
+function handleSiteProfile(site) {
+  if (!site) return;
+  siteUrl = site.url;
+  updateResumeButton();
+  if (site.profile !== activeProfile && profiles[site.profile]) {
+    switchProfile(site.profile);
+  } else {
+    renderProfiles();
+  }
+}
+
+function renderProfiles() {
+  const names = Object.keys(profiles).filter((name) => name !== DEFAULT_PROFILE).sort();
+  profileSelect.innerHTML = '';
+  [DEFAULT_PROFILE, ...names].forEach((name) => profileSelect.add(new Option(name, name)));
+  profileSelect.value = activeProfile;
+  deleteProfileBtn.disabled = activeProfile === DEFAULT_PROFILE;
+
+  const rule = siteUrl && siteRules.find((candidate) => matchesRule(candidate.pattern, siteUrl));
+  if (activeProfile !== profileForUrl(siteRules, siteUrl)) {
+    profileHint.textContent = 'Picked by hand - site rules apply again when you switch tabs';
+  } else if (rule) {
+    profileHint.textContent = `Picked by the site rule "${rule.pattern}"`;
+  } else {
+    profileHint.textContent = 'No site rule matches this page';
+  }
+}
+
+// One row per rule: pattern, profile and a remove button
+function renderSiteRules() {
+  siteRulesList.innerHTML = '';
+
+  siteRules.forEach((rule, index) => {
+    const row = document.createElement('div');
+    row.className = 'site-rule-row';
+
+    const pattern = document.createElement('input');
+    pattern.type = 'text';
+    pattern.value = rule.pattern;
+    pattern.placeholder = 'example.com';
+    pattern.addEventListener('change', () => {
+      rule.pattern = pattern.value.trim();
+      chrome.storage.local.set({ siteRules });
+    });
+
+    const select = document.createElement('select');
+    Object.keys(profiles).forEach((name) => select.add(new Option(name, name)));
+    select.value = rule.profile;
+    select.addEventListener('change', () => {
+      rule.profile = select.value;
+      chrome.storage.local.set({ siteRules });
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'btn-remove';
+    remove.title = 'Remove rule';
+    remove.textContent = '×';
+    remove.addEventListener('click', () => {
+      siteRules.splice(index, 1);
+      chrome.storage.local.set({ siteRules });
+      renderSiteRules();
+    });
 
-  const width = canvas.width;
-  const height = canvas.height;
-  frameCount++;
+    row.append(pattern, select, remove);
+    siteRulesList.append(row);
+  });
+}
 
-  ctx.save();
-  ctx.clearRect(0, 0, width, height);
-  ctx.scale(-1, 1);
-  ctx.translate(-width, 0);
+profileSelect.addEventListener('change', () => {
+  switchProfile(profileSelect.value);
+});
 
-  if (currentFace && currentFace[LIP_CENTER_INDEX]) {
-    const lip = currentFace[LIP_CENTER_INDEX];
-    const ly = lip.y * height;
-    const lx = lip.x * width;
-    const dzPixels = deadzone * height;
+// New profiles start as a copy of the current settings
+addProfileBtn.addEventListener('click', () => {
+  const name = newProfileNameInput.value.trim();
+  if (!name) return;
+  if (profiles[name]) {
+    updateStatus(`A profile named "${name}" already exists`, 'error');
+    return;
+  }
 
-    ctx.fillStyle = isScrolling ? 'rgba(34, 211, 238, 0.15)' : 'rgba(255, 255, 255, 0.08)';
-    ctx.fillRect(0, ly - dzPixels, width, dzPixels * 2);
+  profiles[name] = currentProfileSettings();
+  chrome.storage.local.set({ profiles });
+  newProfileNameInput.value = '';
+  switchProfile(name);
+  renderSiteRules();
+});
 
-    ctx.beginPath();
-    ctx.setLineDash([8, 8]);
-    ctx.moveTo(0, ly - dzPixels);
-    ctx.lineTo(width, ly - dzPixels);
-    ctx.moveTo(0, ly + dzPixels);
-    ctx.lineTo(width, ly + dzPixels);
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-    ctx.lineWidth = 2;
-    ctx.stroke();
-    ctx.setLineDash([]);
+// Rules pointing at a deleted profile go with it
+deleteProfileBtn.addEventListener('click', () => {
+  if (activeProfile === DEFAULT_PROFILE) return;
 
-    ctx.beginPath();
-    ctx.moveTo(0, ly);
-    ctx.lineTo(width, ly);
-    ctx.strokeStyle = isScrolling ? 'rgba(34, 211, 238, 0.8)' : 'rgba(255, 255, 255, 0.4)';
-    ctx.lineWidth = isScrolling ? 3 : 2;
-    ctx.stroke();
+  delete profiles[activeProfile];
+  siteRules = siteRules.filter((rule) => profiles[rule.profile]);
+  chrome.storage.local.set({ profiles, siteRules });
+  switchProfile(DEFAULT_PROFILE);
+  renderSiteRules();
+});
 
-    ctx.beginPath();
-    ctx.arc(lx, ly, 6, 0, 2 * Math.PI);
-    ctx.fillStyle = isScrolling ? '#22d3ee' : '#ffffff';
-    ctx.fill();
-    ctx.strokeStyle = isScrolling ? '#0891b2' : '#666666';
-    ctx.lineWidth = 2;
-    ctx.stroke();
-  }
+// Start from the current page's host and the current profile
+addSiteRuleBtn.addEventListener('click', async () => {
+  const pattern = await currentHostname();
+  siteRules.push({ pattern, profile: activeProfile });
+  chrome.storage.local.set({ siteRules });
+  renderSiteRules();
+});
 
-  if (currentHand) {
-    const indexTip = currentHand[8];
-    const tx = indexTip.x * width;
-    const ty = indexTip.y * height;
+// Offer to resume when the active tab has a saved reading position
+function updateResumeButton() {
+  const position = siteUrl && positionForUrl(readingPositions, siteUrl);
+  resumeReadingSetting.classList.toggle('hidden', !position);
+  if (position) {
+    resumeReadingBtn.textContent = `Resume where you left off (${Math.round(position.fraction * 100)}%)`;
+  }
+}
 
-    ctx.strokeStyle = 'rgba(0, 255, 100, 0.6)';
-    ctx.lineWidth = 2;
-    HAND_CONNECTIONS.forEach(([start, end]) => {
-      const p1 = currentHand[start];
-      const p2 = currentHand[end];
-      if (p1 && p2) {
-        ctx.beginPath();
-        ctx.moveTo(p1.x * width, p1.y * height);
-        ctx.lineTo(p2.x * width, p2.y * height);
-        ctx.stroke();
-      }
-    });
+function renderReadingPositions() {
+  readingList.innerHTML = '';
 
-    if (isScrolling && currentFace && currentFace[LIP_CENTER_INDEX]) {
-      const lipY = currentFace[LIP_CENTER_INDEX].y * height;
-      const dzPixels = deadzone * height;
-      const targetY = ty < lipY ? lipY - dzPixels : lipY + dzPixels;
-      const diff = lipY - ty;
-      const color = diff > 0 ? '#22d3ee' : '#fb7185';
-      const absDiff = Math.abs(diff);
+  readingPositions.forEach((position) => {
+    const row = document.createElement('div');
+    row.className = 'reading-row';
 
-      const gradient = ctx.createLinearGradient(tx, targetY, tx, ty);
-      gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
-      gradient.addColorStop(1, color);
+    const link = document.createElement('button');
+    link.className = 'reading-link';
+    link.title = position.url;
+    link.textContent = position.title;
+    link.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'OPEN_READING_POSITION', url: position.url }).catch(() => {});
+    });
 
-      ctx.beginPath();
-      ctx.moveTo(tx, targetY);
-      ctx.lineTo(tx, ty);
-      ctx.strokeStyle = gradient;
-      ctx.lineWidth = 4;
-      ctx.stroke();
+    const progress = document.createElement('span');
+    progress.className = 'reading-progress';
+    progress.textContent = `${Math.round(position.fraction * 100)}%`;
 
-      if (absDiff > dzPixels + 10) {
-        const numChevrons = 3;
-        const spacing = 15;
-        const offset = (frameCount % 30) / 30 * spacing;
+    const remove = document.createElement('button');
+    remove.className = 'btn-remove';
+    remove.title = 'Forget position';
+    remove.textContent = '×';
+    remove.addEventListener('click', () => {
+      chrome.storage.local.set({ readingPositions: readingPositions.filter((other) => other !== position) });
+    });
 
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 2;
-        for (let i = 0; i < numChevrons; i++) {
-          const cy = diff > 0 ? ty + (i * spacing) + offset : ty - (i * spacing) - offset;
-          ctx.beginPath();
-          ctx.moveTo(tx - 6, cy + (diff > 0 ? 6 : -6));
-          ctx.lineTo(tx, cy);
-          ctx.lineTo(tx + 6, cy + (diff > 0 ? 6 : -6));
-          ctx.stroke();
-        }
-      }
+    row.append(link, progress, remove);
+    readingList.append(row);
+  });
+  updateResumeButton();
+}
 
-      ctx.beginPath();
-      ctx.arc(tx, ty, 10, 0, 2 * Math.PI);
-      ctx.fillStyle = color;
-      ctx.shadowBlur = 20;
-      ctx.shadowColor = color;
-      ctx.fill();
-      ctx.shadowBlur = 0;
-    } else {
-      ctx.beginPath();
-      ctx.arc(tx, ty, 8, 0, 2 * Math.PI);
-      ctx.fillStyle = '#00ff66';
-      ctx.fill();
-      ctx.strokeStyle = '#006622';
-      ctx.lineWidth = 2;
-      ctx.stroke();
-    }
-  }
+function autoScrollRate() {
+  return autoScrollSettings.unit === 'wpm' ? autoScrollSettings.wpm : autoScrollSettings.pxPerSecond;
+}
 
-  ctx.restore();
+function formatAutoScrollRate() {
+  return autoScrollSettings.unit === 'wpm' ? `${autoScrollSettings.wpm} wpm` : `${autoScrollSettings.pxPerSecond} px/s`;
 }
 
-// Start camera and tracking
-async function startTracking() {
-  if (!handLandmarker || !faceLandmarker) {
-    const initialized = await initializeModels();
-    if (!initialized) return;
-  }
+function updateAutoScrollUI() {
+  const { min, max, step } = AUTO_SCROLL_LIMITS[autoScrollSettings.unit];
+  autoScrollUnitSelect.value = autoScrollSettings.unit;
+  autoScrollRateSlider.min = min;
+  autoScrollRateSlider.max = max;
+  autoScrollRateSlider.step = step;
+  autoScrollRateSlider.value = autoScrollRate();
+  autoScrollRateValue.textContent = formatAutoScrollRate();
+  autoScrollBtn.textContent = !autoScrolling ? 'Start auto-scroll'
+    : autoScrollPaused ? 'Resume auto-scroll'
+    : 'Stop auto-scroll';
+  autoScrollBtn.classList.toggle('active', autoScrolling);
+}
 
+// Auto-scroll commands go through the same SCROLL_COMMAND path as gestures; the answer says
+// whether the page could take them
+async function sendAutoScroll(command) {
   try {
-    updateStatus('Starting camera...');
-    const stream = await navigator.mediaDevices.getUserMedia({
-      video: { width: 640, height: 480, facingMode: 'user' }
+    const response = await chrome.runtime.sendMessage({
+      type: 'SCROLL_COMMAND',
+      action: 'autoScroll',
+      command,
+      rate: autoScrollRate(),
+      unit: autoScrollSettings.unit
     });
+    return !!response?.success;
+  } catch (error) {
+    return false;
+  }
+}
 
-    video.srcObject = stream;
-    await video.play();
+// Starting auto-scroll is a request to scroll, so it also lifts a gesture pause
+async function startAutoScroll() {
+  stopScrolling();
+  if (!(await sendAutoScroll('start'))) {
+    updateStatus("Auto-scroll can't run on this page", 'error');
+    return;
+  }
 
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
+  autoScrolling = true;
+  autoScrollPaused = false;
+  if (isPaused) {
+    isPaused = false;
+    reportTrackingState();
+  }
+  syncAutoScroll();
+  showAutoScrollStatus();
+  updateAutoScrollUI();
+  updateCompactStatus();
+}
 
-    placeholder.classList.add('hidden');
+function stopAutoScroll() {
+  autoScrolling = false;
+  autoScrollPaused = false;
+  sendAutoScroll('stop');
+  if (isTracking) {
+    showTrackingStatus();
+  } else {
+    updateStatus('Ready');
+  }
+  updateAutoScrollUI();
+  updateCompactStatus();
+}
 
-    isTracking = true;
-    updateStatus('Gestures active', 'active');
-    startBtn.textContent = 'Disable Gestures';
-    startBtn.classList.add('active');
-    updateCompactStatus();
+// Auto-scroll holds while paused itself or while the background holds off scrolling, except for
+// the browser being in the background: the reader may be following along in another window
+function autoScrollHeld() {
+  return autoScrollPaused || (autoPauseReason !== null && autoPauseReason !== 'unfocused');
+}
 
-    detectFrame();
-  } catch (error) {
-    console.error('[LazyScroll] Camera error:', error);
-    if (error.name === 'NotAllowedError') {
-      updateStatus('Camera access denied', 'error');
-    } else {
-      updateStatus('Camera error: ' + error.message, 'error');
-    }
+function syncAutoScroll() {
+  if (autoScrolling) {
+    sendAutoScroll(autoScrollHeld() ? 'pause' : 'resume');
   }
 }
 
-// Stop tracking
-function stopTracking() {
-  isTracking = false;
-  isScrolling = false;
+function showAutoScrollStatus() {
+  if (autoScrollPaused) {
+    updateStatus(isTracking ? 'Auto-scroll paused - hold open palm to resume' : 'Auto-scroll paused');
+  } else if (autoScrollHeld()) {
+    updateStatus(AUTO_PAUSE_LABELS[autoPauseReason]);
+  } else {
+    updateStatus(`Auto-scrolling at ${formatAutoScrollRate()}`, 'active');
+  }
+}
 
-  if (animationId) {
-    cancelAnimationFrame(animationId);
-    animationId = null;
+function toggleAutoScrollPause() {
+  autoScrollPaused = !autoScrollPaused;
+  syncAutoScroll();
+  showAutoScrollStatus();
+  updateAutoScrollUI();
+  updateCompactStatus();
+}
+
+// The background reports when auto-scroll hits the end of the page or its tab goes away
+function handleAutoScrollEnded(reason) {
+  if (!autoScrolling) {
+    return;
   }
+  autoScrolling = false;
+  autoScrollPaused = false;
+  updateStatus(reason === 'end' ? 'Auto-scroll reached the end of the page' : 'Auto-scroll stopped - the page changed');
+  updateAutoScrollUI();
+  updateCompactStatus();
+}
 
-  if (video.srcObject) {
-    video.srcObject.getTracks().forEach(track => track.stop());
-    video.srcObject = null;
+function setAutoScrollRate(rate) {
+  const { min, max } = AUTO_SCROLL_LIMITS[autoScrollSettings.unit];
+  const clamped = Math.min(Math.max(rate, min), max);
+  if (autoScrollSettings.unit === 'wpm') {
+    autoScrollSettings.wpm = clamped;
+  } else {
+    autoScrollSettings.pxPerSecond = clamped;
   }
+  chrome.storage.local.set({ autoScroll: autoScrollSettings });
+  updateAutoScrollUI();
 
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-  placeholder.classList.remove('hidden');
-  currentHand = null;
-  currentFace = null;
+  if (autoScrolling) {
+    sendAutoScroll('rate');
+    if (!autoScrollHeld()) {
+      updateStatus(`Auto-scrolling at ${formatAutoScrollRate()}`, 'active');
+    }
+  }
+}
 
-  updateStatus('Ready');
-  startBtn.innerHTML = `
-    <span class="btn-icon">
-      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
-        <path d="M7 11.5V14m0-2.5v-6a1.5 1.5 0 1 1 3 0m-3 6a1.5 1.5 0 1 0-3 0v3c0 4.418 3.582 8 8 8s8-3.582 8-8v-1.5m-4-6.5v8m0-8a1.5 1.5 0 0 0-3 0m3 0a1.5 1.5 0 0 1 3 0m0 0v1.5m0 0a1.5 1.5 0 0 1 3 0v4.5"/>
-      </svg>
-    </span>
-    Enable Gestures
-  `;
-  startBtn.classList.remove('active');
-  updateCompactStatus();
+// Pointing or tilting up speeds auto-scroll up and down slows it, flipped with invert like scrolling
+function adjustAutoScrollToward(direction) {
+  adjustAutoScroll((invertScroll ? OPPOSITE_DIRECTIONS[direction] : direction) === 'up' ? 1 : -1);
 }
 
-function updateStatus(text, className = '') {
-  statusEl.textContent = text;
-  statusEl.className = 'status ' + className;
+// Step the rate up (1) or down (-1); held gestures repeat every AUTO_SCROLL_ADJUST_INTERVAL
+function adjustAutoScroll(sign, immediate = false) {
+  const now = performance.now();
+  if (!immediate && now - lastAutoScrollAdjust < AUTO_SCROLL_ADJUST_INTERVAL) {
+    return;
+  }
+  lastAutoScrollAdjust = now;
+  setAutoScrollRate(autoScrollRate() + sign * AUTO_SCROLL_LIMITS[autoScrollSettings.unit].step);
 }
 
-// Event Listeners
-startBtn.addEventListener('click', () => {
-  if (isTracking) {
-    stopTracking();
+autoScrollBtn.addEventListener('click', () => {
+  if (autoScrolling && autoScrollPaused) {
+    toggleAutoScrollPause();
+  } else if (autoScrolling) {
+    stopAutoScroll();
   } else {
-    startTracking();
+    startAutoScroll();
   }
 });
 
-scrollSpeedSlider.addEventListener('input', () => {
-  scrollSpeed = parseInt(scrollSpeedSlider.value);
-  scrollSpeedValue.textContent = `${scrollSpeed} px`;
-  chrome.storage.local.set({ scrollSpeed });
+autoScrollUnitSelect.addEventListener('change', () => {
+  autoScrollSettings.unit = autoScrollUnitSelect.value;
+  setAutoScrollRate(autoScrollRate());
 });
 
-deadzoneSlider.addEventListener('input', () => {
-  deadzone = parseFloat(deadzoneSlider.value);
-  deadzoneValue.textContent = `${Math.round(deadzone * 100)}%`;
-  chrome.storage.local.set({ deadzone });
+autoScrollRateSlider.addEventListener('input', () => {
+  setAutoScrollRate(parseInt(autoScrollRateSlider.value));
 });
 
-invertScrollCheckbox.addEventListener('change', () => {
-  invertScroll = invertScrollCheckbox.checked;
-  chrome.storage.local.set({ invertScroll });
+resumeReadingBtn.addEventListener('click', () => {
+  sendAction('resume');
+});
+
+// Positions are saved by the background as gesture scrolling stops in any tab
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.readingPositions) {
+    readingPositions = changes.readingPositions.newValue || [];
+    renderReadingPositions();
+  }
 });
 
 // Load saved settings
-chrome.storage.local.get(['scrollSpeed', 'deadzone', 'invertScroll'], (result) => {
-  if (result.scrollSpeed !== undefined) {
-    scrollSpeed = result.scrollSpeed;
-    scrollSpeedSlider.value = scrollSpeed;
-    scrollSpeedValue.textContent = `${scrollSpeed} px`;
+chrome.storage.local.get([
+  'scrollSpeed', 'deadzone', 'invertScroll',
+  'speedMode', 'speedCurve', 'minSpeed', 'maxSpeed', 'speedUnit',
+  'highlightScrollTarget', 'scrollAxis', 'horizontalDeadzone', 'gestureHoldTime', 'inputCooldown',
+  'stepMode', 'stepRules',
+  'idleTimeout', 'sleepTimeout',
+  'gestureBindings', 'modelVariant', 'detectionBackend', 'camera', 'smoothing', 'calibration',
+  'scrollAnchor', 'bandPosition', 'controlMode', 'headSource', 'headDeadzone', 'headCalibration',
+  'expressionTriggers', 'expressionSettings', 'profiles', 'activeProfile', 'siteRules',
+  'readingPositions', 'autoScroll', 'hud', 'pinchZoom'
+], (result) => {
+  // Convert per-frame speeds from older versions to pixels per second
+  if (result.speedUnit !== 'px/s') {
+    const converted = { speedUnit: 'px/s' };
+    ['scrollSpeed', 'minSpeed', 'maxSpeed'].forEach((key) => {
+      if (result[key] !== undefined) {
+        result[key] = converted[key] = Math.min(result[key] * LEGACY_FRAME_RATE, 3000);
+      }
+    });
+    chrome.storage.local.set(converted);
   }
-  if (result.deadzone !== undefined) {
-    deadzone = result.deadzone;
-    deadzoneSlider.value = deadzone;
-    deadzoneValue.textContent = `${Math.round(deadzone * 100)}%`;
+
+  applyProfileSettings(result);
+  if (result.stepMode !== undefined) {
+    stepMode = result.stepMode;
+    stepModeSelect.value = stepMode;
   }
-  if (result.invertScroll !== undefined) {
-    invertScroll = result.invertScroll;
-    invertScrollCheckbox.checked = invertScroll;
+  stepRulesDetails.classList.toggle('hidden', stepMode !== 'smart');
+  stepRules = result.stepRules || [];
+  renderStepRules();
+  if (result.scrollAxis !== undefined) {
+    scrollAxis = result.scrollAxis;
+    scrollAxisSelect.value = scrollAxis;
+  }
+  if (result.horizontalDeadzone !== undefined) {
+    horizontalDeadzone = result.horizontalDeadzone;
+    horizontalDeadzoneSlider.value = horizontalDeadzone;
+    horizontalDeadzoneValue.textContent = `${Math.round(horizontalDeadzone * 100)}%`;
+  }
+  if (result.gestureHoldTime !== undefined) {
+    gestureHoldTime = result.gestureHoldTime;
+    gestureHoldTimeSlider.value = gestureHoldTime;
+    gestureHoldTimeValue.textContent = `${gestureHoldTime} ms`;
+  }
+  if (result.inputCooldown !== undefined) {
+    inputCooldown = result.inputCooldown;
+    inputCooldownSlider.value = inputCooldown;
+    inputCooldownValue.textContent = formatInputCooldown(inputCooldown);
+  }
+  if (result.idleTimeout !== undefined) {
+    idleTimeout = result.idleTimeout;
+    idleTimeoutSlider.value = idleTimeout;
+    idleTimeoutValue.textContent = formatIdleTimeout(idleTimeout);
+  }
+  if (result.sleepTimeout !== undefined) {
+    sleepTimeout = result.sleepTimeout;
+    sleepTimeoutSlider.value = sleepTimeout;
+    sleepTimeoutValue.textContent = formatSleepTimeout(sleepTimeout);
   }
+  if (result.smoothing !== undefined) {
+    smoothing = result.smoothing;
+    smoothingSlider.value = smoothing;
+    smoothingValue.textContent = `${Math.round(smoothing * 100)}%`;
+    applySmoothing();
+  }
+  if (result.bandPosition !== undefined) {
+    bandPosition = result.bandPosition;
+    bandPositionSlider.value = bandPosition;
+    bandPositionValue.textContent = `${Math.round(bandPosition * 100)}%`;
+  }
+  if (result.controlMode !== undefined) {
+    controlMode = result.controlMode;
+    controlModeSelect.value = controlMode;
+  }
+  if (result.headSource !== undefined) {
+    headSource = result.headSource;
+    headSourceSelect.value = headSource;
+  }
+  if (result.headDeadzone !== undefined) {
+    headDeadzone = result.headDeadzone;
+    headDeadzoneSlider.value = headDeadzone;
+  }
+  headDeadzoneValue.textContent = formatHeadDeadzone();
+  headNeutral = result.headCalibration || null;
+  expressionTriggers = !!result.expressionTriggers;
+  expressionTriggersCheckbox.checked = expressionTriggers;
+  pinchZoom = !!result.pinchZoom;
+  pinchZoomCheckbox.checked = pinchZoom;
+  EXPRESSION_SOURCES.forEach((source) => {
+    expressionSettings[source] = { ...DEFAULT_EXPRESSION_SETTINGS[source], ...result.expressionSettings?.[source] };
+  });
+  renderExpressionSettings();
+  applyCalibration(result.calibration);
+  updateControlModeUI();
+  if (result.modelVariant !== undefined) {
+    modelVariant = result.modelVariant;
+    modelVariantSelect.value = modelVariant;
+  }
+  if (result.detectionBackend !== undefined) {
+    detectionBackendSelect.value = result.detectionBackend;
+  }
+  if (result.camera !== undefined) {
+    cameraSettings = { ...DEFAULT_CAMERA, ...result.camera };
+    cameraResolutionSelect.value = cameraSettings.resolution;
+    cameraFrameRateSelect.value = cameraSettings.frameRate;
+  }
+  refreshCameraList();
+  horizontalDeadzoneSetting.classList.toggle('hidden', scrollAxis === 'vertical');
+  highlightScrollTargetCheckbox.checked = !!result.highlightScrollTarget;
+
+  // The first run turns the current settings into the default profile
+  profiles = result.profiles || { [DEFAULT_PROFILE]: currentProfileSettings() };
+  if (!result.profiles) {
+    chrome.storage.local.set({ profiles });
+  }
+  activeProfile = profiles[result.activeProfile] ? result.activeProfile : DEFAULT_PROFILE;
+  siteRules = result.siteRules || [];
+  renderProfiles();
+  renderSiteRules();
+  readingPositions = result.readingPositions || [];
+  renderReadingPositions();
+  if (result.autoScroll !== undefined) {
+    autoScrollSettings = { ...autoScrollSettings, ...result.autoScroll };
+  }
+  updateAutoScrollUI();
+  if (result.hud !== undefined) {
+    hudSettings = { ...hudSettings, ...result.hud };
+  }
+  updateHudUI();
+
+  chrome.runtime.sendMessage({ type: 'GET_SITE_PROFILE' }).then(handleSiteProfile).catch(() => {});
 });
 
 // Camera permission handling
@@ -486,9 +2886,123 @@ chrome.runtime.onMessage.addListener((message) => {
     cameraPermissionState = 'granted';
     chrome.storage.local.set({ cameraSetupComplete: true });
     updatePermissionUI('granted');
+  } else if (message.type === 'SITE_PROFILE') {
+    handleSiteProfile(message);
   }
 });
 
+// Commands from keyboard shortcuts and the 'pause' action, relayed by the background over the port
+function handleSidebarCommand(command) {
+  if (command === 'toggleTracking') {
+    if (isTracking) {
+      stopTracking();
+    } else {
+      startTracking();
+    }
+  } else if (command === 'togglePause' && (isTracking || autoScrolling)) {
+    togglePause();
+  } else if (command === 'speedUp' || command === 'speedDown') {
+    changeSpeed(command === 'speedUp' ? SPEED_STEP : -SPEED_STEP);
+  } else if (command === 'nextProfile') {
+    const names = [...profileSelect.options].map((option) => option.value);
+    switchProfile(names[(names.indexOf(activeProfile) + 1) % names.length]);
+    updateStatus(`Profile: ${activeProfile}`, isTracking ? 'active' : '');
+  }
+}
+
+// Nudge the fixed speed, or both ends of the proportional range
+function changeSpeed(delta) {
+  if (autoScrolling) {
+    adjustAutoScroll(Math.sign(delta), true);
+    return;
+  }
+
+  const clamp = (value) => Math.min(Math.max(value + delta, 50), 3000);
+
+  if (speedMode === 'proportional') {
+    minSpeed = clamp(minSpeed);
+    maxSpeed = clamp(maxSpeed);
+    minSpeedSlider.value = minSpeed;
+    maxSpeedSlider.value = maxSpeed;
+    minSpeedValue.textContent = `${minSpeed} px/s`;
+    maxSpeedValue.textContent = `${maxSpeed} px/s`;
+    saveSettings({ minSpeed, maxSpeed });
+    updateStatus(`Speed: ${minSpeed}-${maxSpeed} px/s`, isTracking ? 'active' : '');
+  } else {
+    scrollSpeed = Math.max(clamp(scrollSpeed), 100);
+    scrollSpeedSlider.value = scrollSpeed;
+    scrollSpeedValue.textContent = `${scrollSpeed} px/s`;
+    saveSettings({ scrollSpeed });
+    updateStatus(`Speed: ${scrollSpeed} px/s`, isTracking ? 'active' : '');
+  }
+}
+
+// Long-lived connection so the background knows the sidebar is open and can show tracking
+// state on the toolbar badge. The service worker may be stopped at any time, which drops the
+// port, so reconnect straight away.
+let backgroundPort = null;
+
+function connectBackground() {
+  backgroundPort = chrome.runtime.connect({ name: 'sidebar' });
+  backgroundPort.onMessage.addListener((message) => {
+    if (message.type === 'SIDEBAR_COMMAND') {
+      handleSidebarCommand(message.command);
+    } else if (message.type === 'AUTO_PAUSE') {
+      handleAutoPause(message.reason);
+    } else if (message.type === 'AUTO_SCROLL_ENDED') {
+      handleAutoScrollEnded(message.reason);
+    } else if (message.type === 'MANUAL_INPUT') {
+      handleManualInput();
+    }
+  });
+  backgroundPort.onDisconnect.addListener(() => {
+    backgroundPort = null;
+    connectBackground();
+  });
+  reportTrackingState();
+}
+
+// The background has started or stopped holding off gesture scrolling on its own
+function handleAutoPause(reason) {
+  if (reason === autoPauseReason) {
+    return;
+  }
+  autoPauseReason = reason;
+
+  if (autoScrolling) {
+    syncAutoScroll();
+    if (!calibration.active) {
+      showAutoScrollStatus();
+    }
+  } else if (isTracking && !isPaused && !calibration.active) {
+    if (reason) {
+      stopScrolling();
+      sendAction('stop');
+      updateStatus(AUTO_PAUSE_LABELS[reason]);
+    } else {
+      updateStatus('Gestures active', 'active');
+    }
+  }
+  updateCompactStatus();
+}
+
+// Scrolling, typing or clicking in the auto-scrolling tab pauses auto-scroll the same way the
+// pause gesture does, so it resumes with the gesture, the shortcut or the Resume button
+function handleManualInput() {
+  if (autoScrolling && !autoScrollPaused) {
+    toggleAutoScrollPause();
+  }
+}
+
+function reportTrackingState() {
+  backgroundPort?.postMessage({ type: 'TRACKING_STATE', tracking: isTracking, paused: isPaused });
+}
+
+function updateTrackingState() {
+  updateCompactStatus();
+  reportTrackingState();
+}
+
 // Compact mode functions
 function enterCompactMode() {
   fullViewContent.classList.add('hidden');
@@ -503,15 +3017,27 @@ function exitCompactMode() {
   chrome.storage.local.set({ compactMode: false });
 }
 
+// Short tracking state for the compact view and the on-page overlay
+function trackingStateLabel() {
+  return calibration.active ? 'Calibrating'
+    : idle.state === 'idle' ? `Idle · waiting for your ${presenceSource()}`
+    : isPaused ? 'Scrolling paused'
+    : autoScrolling ? (autoScrollHeld() ? 'Auto-scroll paused' : 'Auto-scrolling')
+    : autoPauseReason ? AUTO_PAUSE_LABELS[autoPauseReason]
+    : 'Gestures active';
+}
+
 function updateCompactStatus() {
   if (isTracking) {
     compactIndicator.classList.add('active');
     compactIndicator.classList.remove('inactive');
-    compactText.textContent = 'Gestures active';
+    const state = trackingStateLabel();
+    compactText.textContent = activeProfile === DEFAULT_PROFILE ? state : `${state} · ${activeProfile}`;
   } else {
     compactIndicator.classList.remove('active');
     compactIndicator.classList.add('inactive');
-    compactText.textContent = 'Gestures paused';
+    compactText.textContent = idle.state === 'sleeping' ? 'Sleeping · camera off'
+      : autoScrolling ? 'Auto-scrolling' : 'Gestures paused';
   }
 }
 
@@ -527,3 +3053,4 @@ chrome.storage.local.get(['compactMode'], (result) => {
 // Initialize
 checkCameraPermission();
 initializeModels();
+connectBackground();
@@ -0,0 +1,66 @@
+// LazyScroll Actions - What gestures can be bound to, shared by the sidebar and background
+
+export const ACTIONS = {
+  none: 'Do nothing',
+  scroll: 'Scroll',
+  stop: 'Stop scrolling',
+  pause: 'Pause / resume gestures',
+  pageUp: 'Page up',
+  pageDown: 'Page down',
+  top: 'Jump to top',
+  bottom: 'Jump to bottom',
+  back: 'Browser back',
+  forward: 'Browser forward',
+  nextTab: 'Next tab',
+  prevTab: 'Previous tab',
+  playPause: 'Play / pause media',
+  seekBack: 'Rewind media 10 s',
+  seekForward: 'Forward media 10 s',
+  volumeUp: 'Media volume up',
+  volumeDown: 'Media volume down',
+  resume: 'Resume reading position'
+};
+
+// Pointing fires continuously while held; the other gestures fire once after the hold time
+export const POINTING_SOURCES = ['point_up', 'point_down', 'point_left', 'point_right'];
+export const HELD_SOURCES = ['open_palm', 'fist', 'victory', 'pinch', 'thumbs_up', 'thumbs_down'];
+
+// Facial expressions fire once after their own hold time, in any control mode
+export const EXPRESSION_SOURCES = ['blink', 'brow_raise', 'mouth_open', 'smile'];
+
+export const SOURCE_LABELS = {
+  point_up: 'Point up',
+  point_down: 'Point down',
+  point_left: 'Point left',
+  point_right: 'Point right',
+  open_palm: 'Open palm',
+  fist: 'Fist',
+  victory: 'Two fingers',
+  pinch: 'Pinch',
+  thumbs_up: 'Thumbs up',
+  thumbs_down: 'Thumbs down',
+  blink: 'Long blink',
+  brow_raise: 'Eyebrow raise',
+  mouth_open: 'Mouth open',
+  smile: 'Smile'
+};
+
+export const DEFAULT_BINDINGS = {
+  point_up: 'scroll',
+  point_down: 'scroll',
+  point_left: 'scroll',
+  point_right: 'scroll',
+  open_palm: 'pause',
+  fist: 'stop',
+  victory: 'pageDown',
+  pinch: 'pageUp',
+  thumbs_up: 'top',
+  thumbs_down: 'bottom',
+  blink: 'pause',
+  brow_raise: 'pause',
+  mouth_open: 'pageDown',
+  smile: 'none'
+};
+
+// How often a one-shot action repeats while a pointing gesture bound to it is held (ms)
+export const POINTING_REPEAT_INTERVAL = 800;
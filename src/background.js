@@ -1,12 +1,115 @@
 // LazyScroll Background Service Worker
-// Routes messages from sidebar to content scripts
-// Falls back to keyboard events for PDFs
+// Dispatches gestures from the sidebar to their bound actions and picks the settings
+// profile for the active tab's site
+// Drives PDFs and restricted pages through the debugger, where the content script can't scroll
+import { DEFAULT_BINDINGS, POINTING_REPEAT_INTERVAL } from './actions.js';
+import { matchesRule, profileForUrl } from './profiles.js';
+import { MAX_READING_POSITIONS, positionForUrl, readingKey } from './reading.js';
 
 // Track debugger state per tab
 const debuggerAttached = new Set();
 
-// Throttle keyboard events for smoother PDF scrolling
-let lastKeyPressTime = 0;
+// The debugger detaches (removing the "is debugging this browser" bar) once a tab has had no
+// synthetic input for this long (ms)
+const DEBUGGER_IDLE_TIMEOUT = 5000;
+const debuggerIdleTimers = new Map();
+
+// When synthetic input was last sent to each tab; key and wheel events the page reports within
+// SYNTHETIC_INPUT_WINDOW ms of it are ours, not the user's
+const lastDebuggerInput = new Map();
+const SYNTHETIC_INPUT_WINDOW = 300;
+
+// Tabs whose content script found a PDF, for PDFs served from URLs without a .pdf extension
+const pdfTabs = new Set();
+
+// Gesture-to-action bindings, kept in sync with chrome.storage
+let bindings = { ...DEFAULT_BINDINGS };
+const bindingsLoaded = chrome.storage.local.get(['gestureBindings']).then((result) => {
+  bindings = { ...DEFAULT_BINDINGS, ...result.gestureBindings };
+});
+
+// Per-site profile rules, kept in sync with chrome.storage
+let siteRules = [];
+const siteRulesLoaded = chrome.storage.local.get(['siteRules']).then((result) => {
+  siteRules = result.siteRules || [];
+});
+
+// Smart step mode ('page' or 'smart') and per-site block selectors [{ pattern, selector }],
+// kept in sync with chrome.storage
+let stepMode = 'page';
+let stepRules = [];
+const stepSettingsLoaded = chrome.storage.local.get(['stepMode', 'stepRules']).then((result) => {
+  stepMode = result.stepMode || 'page';
+  stepRules = result.stepRules || [];
+});
+
+// Tab and profile last announced to the sidebar. Navigating within a tab only re-announces
+// when the profile changes, so a profile picked by hand survives in-site navigation.
+let announcedProfile = { tabId: null, profile: null };
+
+// After the user scrolls, types, clicks or selects on the page, gesture scrolling is held off
+// for inputCooldown ms (0 disables)
+let inputCooldown = 1500;
+let lastUserInputTime = 0;
+chrome.storage.local.get(['inputCooldown']).then((result) => {
+  if (result.inputCooldown !== undefined) {
+    inputCooldown = result.inputCooldown;
+  }
+});
+
+// 'unfocused' while no browser window has focus, 'permissions' while the active tab is our
+// permissions page; gesture scrolling is paused for either
+let autoPauseReason = null;
+const PERMISSIONS_PAGE_URL = chrome.runtime.getURL('permissions/');
+
+// Actions that move or zoom the page, held off while scrolling is suppressed
+const SCROLLING_ACTIONS = new Set(['scroll', 'pageUp', 'pageDown', 'top', 'bottom', 'resume', 'zoom']);
+
+// Tabs opened from the sidebar's reading list, to resume once they've loaded
+const pendingResume = new Set();
+
+// Page zoom limits for the pinch zoom gesture (Chrome's own range), and the tab's zoom when the
+// current gesture began, which it scales
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 5;
+let zoomBase = null;
+
+// Tab running the teleprompter auto-scroll, if any
+let autoScrollTabId = null;
+
+// Open sidebar connection, if any, and a command to deliver once it connects
+let sidebarPort = null;
+let pendingSidebarCommand = null;
+
+// Keyboard shortcuts (manifest "commands") and the sidebar command each one runs
+const SIDEBAR_COMMANDS = {
+  'toggle-gestures': 'toggleTracking',
+  'toggle-pause': 'togglePause',
+  'speed-up': 'speedUp',
+  'speed-down': 'speedDown',
+  'next-profile': 'nextProfile'
+};
+
+// Last time a one-shot action fired from each pointing gesture, for repeat throttling
+const lastPointingAction = new Map();
+
+// Gesture scrolling through the debugger sends a wheel event this often (ms) while held
+const WHEEL_INTERVAL = 20;
+
+// The sidebar streams scroll commands while a gesture is held; stop the wheel loop if they
+// stop arriving for this long (ms)
+const WHEEL_COMMAND_TIMEOUT = 250;
+
+// Wheel delta sign for each scroll direction
+const WHEEL_DIRECTIONS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 }
+};
+
+// Held scroll in a debugger-driven tab: { tabId, x, y, direction, speed, lastCommand, lastTick, timer, sending }
+let wheelScroll = null;
 
 // Get active tab
 async function getActiveTab() {
@@ -14,28 +117,50 @@ async function getActiveTab() {
   return tab;
 }
 
-// Send keyboard event via debugger API (for PDFs)
-async function sendKeyboardEvent(tabId, direction, speed) {
-  // Throttle proportionally: speed 1-100 maps to interval 100ms-16ms
-  const now = Date.now();
-  const minInterval = Math.round(16 + ((100 - speed) / 100) * 84);
+// Keys for discrete commands in the keyboard fallback
+const COMMAND_KEYS = {
+  PAGE: {
+    up: { key: 'PageUp', keyCode: 33 },
+    down: { key: 'PageDown', keyCode: 34 }
+  },
+  JUMP: {
+    top: { key: 'Home', keyCode: 36 },
+    bottom: { key: 'End', keyCode: 35 }
+  }
+};
 
-  if (now - lastKeyPressTime < minInterval) {
-    return true; // Skip this frame, throttled
+async function attachDebugger(tabId) {
+  if (!debuggerAttached.has(tabId)) {
+    await chrome.debugger.attach({ tabId }, '1.3');
+    debuggerAttached.add(tabId);
   }
-  lastKeyPressTime = now;
 
-  const key = direction === 'up' ? 'ArrowUp' : 'ArrowDown';
-  const keyCode = direction === 'up' ? 38 : 40;
+  lastDebuggerInput.set(tabId, Date.now());
+  clearTimeout(debuggerIdleTimers.get(tabId));
+  debuggerIdleTimers.set(tabId, setTimeout(() => detachDebugger(tabId), DEBUGGER_IDLE_TIMEOUT));
+}
 
-  try {
-    // Attach debugger if not already attached
-    if (!debuggerAttached.has(tabId)) {
-      await chrome.debugger.attach({ tabId }, '1.3');
-      debuggerAttached.add(tabId);
+async function detachDebugger(tabId) {
+  clearTimeout(debuggerIdleTimers.get(tabId));
+  debuggerIdleTimers.delete(tabId);
+  if (wheelScroll?.tabId === tabId) {
+    stopWheelScroll();
+  }
+
+  if (debuggerAttached.delete(tabId)) {
+    try {
+      await chrome.debugger.detach({ tabId });
+    } catch (error) {
+      // Already detached (tab closed, or the user dismissed the debugging bar)
     }
+  }
+}
+
+// Send a single key press via debugger API
+async function sendKeyPress(tabId, { key, keyCode }) {
+  try {
+    await attachDebugger(tabId);
 
-    // Send single key event (throttling controls speed now)
     await chrome.debugger.sendCommand({ tabId }, 'Input.dispatchKeyEvent', {
       type: 'keyDown',
       key,
@@ -60,16 +185,131 @@ async function sendKeyboardEvent(tabId, direction, speed) {
   }
 }
 
+function stopWheelScroll() {
+  if (wheelScroll) {
+    clearInterval(wheelScroll.timer);
+    wheelScroll = null;
+  }
+}
+
+// One wheel event covering the distance the requested px/s speed travels since the last one
+async function sendWheelTick() {
+  const scroll = wheelScroll;
+  if (!scroll || scroll.sending) {
+    return;
+  }
+
+  const now = Date.now();
+  if (now - scroll.lastCommand > WHEEL_COMMAND_TIMEOUT) {
+    stopWheelScroll();
+    return;
+  }
+
+  const distance = scroll.speed * (now - scroll.lastTick) / 1000;
+  const { x, y } = WHEEL_DIRECTIONS[scroll.direction] || WHEEL_DIRECTIONS.down;
+  scroll.lastTick = now;
+  scroll.sending = true;
+
+  try {
+    await attachDebugger(scroll.tabId);
+    await chrome.debugger.sendCommand({ tabId: scroll.tabId }, 'Input.dispatchMouseEvent', {
+      type: 'mouseWheel',
+      x: scroll.x,
+      y: scroll.y,
+      deltaX: x * distance,
+      deltaY: y * distance
+    });
+  } catch (error) {
+    console.error('[LazyScroll] Wheel event failed:', error.message);
+    debuggerAttached.delete(scroll.tabId);
+    stopWheelScroll();
+  } finally {
+    scroll.sending = false;
+  }
+}
+
+// Smooth pixel scrolling through the debugger: a wheel loop runs over the middle of the tab for
+// as long as scroll commands keep arriving
+async function sendWheelScroll(tab, message) {
+  if (message.type === 'STOP' || !message.speed) {
+    stopWheelScroll();
+    return true;
+  }
+
+  if (wheelScroll?.tabId !== tab.id) {
+    stopWheelScroll();
+    try {
+      await attachDebugger(tab.id);
+    } catch (error) {
+      console.error('[LazyScroll] Could not attach debugger:', error.message);
+      return false;
+    }
+    wheelScroll = {
+      tabId: tab.id,
+      x: Math.round((tab.width || 800) / 2),
+      y: Math.round((tab.height || 600) / 2),
+      lastTick: Date.now(),
+      timer: setInterval(sendWheelTick, WHEEL_INTERVAL),
+      sending: false
+    };
+  }
+
+  wheelScroll.direction = message.direction;
+  wheelScroll.speed = message.speed;
+  wheelScroll.lastCommand = Date.now();
+  return true;
+}
+
+// Run a content script message through the debugger instead
+async function sendDebuggerCommand(tab, message) {
+  if (message.type === 'PAGE' || message.type === 'JUMP') {
+    stopWheelScroll();
+    const keys = COMMAND_KEYS[message.type];
+    return await sendKeyPress(tab.id, keys[message.direction || message.position]);
+  }
+  if (message.type === 'SCROLL' || message.type === 'STOP') {
+    return await sendWheelScroll(tab, message);
+  }
+  return false; // Media control needs the content script
+}
+
+// The PDF viewer ignores window.scrollBy. Besides .pdf URLs, the content script reports PDFs it
+// finds by content type or the viewer's embed.
+function isPdfTab(tab) {
+  if (pdfTabs.has(tab.id)) {
+    return true;
+  }
+  try {
+    return new URL(tab.url).pathname.toLowerCase().endsWith('.pdf');
+  } catch (error) {
+    return false;
+  }
+}
+
 // Clean up debugger when tab closes or navigates
 chrome.tabs.onRemoved.addListener((tabId) => {
-  if (debuggerAttached.has(tabId)) {
-    debuggerAttached.delete(tabId);
+  pendingResume.delete(tabId);
+  if (tabId === autoScrollTabId) {
+    endAutoScroll('tab');
+  }
+  clearTimeout(debuggerIdleTimers.get(tabId));
+  debuggerIdleTimers.delete(tabId);
+  debuggerAttached.delete(tabId);
+  lastDebuggerInput.delete(tabId);
+  pdfTabs.delete(tabId);
+  if (wheelScroll?.tabId === tabId) {
+    stopWheelScroll();
   }
 });
 
 chrome.debugger.onDetach.addListener((source) => {
   if (source.tabId) {
+    clearTimeout(debuggerIdleTimers.get(source.tabId));
+    debuggerIdleTimers.delete(source.tabId);
     debuggerAttached.delete(source.tabId);
+    if (wheelScroll?.tabId === source.tabId) {
+      stopWheelScroll();
+    }
   }
 });
 
@@ -81,14 +321,9 @@ async function sendToContentScript(message) {
     return false;
   }
 
-  // Skip chrome:// pages - use keyboard fallback
-  if (tab.url?.startsWith('chrome://')) {
-    return await sendKeyboardEvent(tab.id, message.direction, message.speed);
-  }
-
-  // PDF files - use keyboard fallback (window.scrollBy doesn't work on PDF viewer)
-  if (tab.url?.toLowerCase().endsWith('.pdf')) {
-    return await sendKeyboardEvent(tab.id, message.direction, message.speed);
+  // chrome:// pages and PDFs - drive through the debugger
+  if (tab.url?.startsWith('chrome://') || isPdfTab(tab)) {
+    return await sendDebuggerCommand(tab, message);
   }
 
   // Try content script first
@@ -96,22 +331,419 @@ async function sendToContentScript(message) {
     await chrome.tabs.sendMessage(tab.id, message);
     return true;
   } catch (error) {
-    // Fallback to keyboard events for restricted pages
-    return await sendKeyboardEvent(tab.id, message.direction, message.speed);
+    // No content script on restricted pages
+    return await sendDebuggerCommand(tab, message);
+  }
+}
+
+// Activate the tab `offset` positions away in the current window, wrapping around
+async function switchTab(offset) {
+  const tabs = await chrome.tabs.query({ currentWindow: true });
+  const active = tabs.find((tab) => tab.active);
+  if (!active) {
+    return false;
+  }
+  const next = tabs[(tabs.indexOf(active) + offset + tabs.length) % tabs.length];
+  await chrome.tabs.update(next.id, { active: true });
+  return true;
+}
+
+async function navigateHistory(direction) {
+  const tab = await getActiveTab();
+  if (!tab?.id) {
+    return false;
+  }
+  try {
+    await (direction === 'back' ? chrome.tabs.goBack(tab.id) : chrome.tabs.goForward(tab.id));
+    return true;
+  } catch (error) {
+    return false; // No history in that direction
+  }
+}
+
+function scrollingSuppressed() {
+  return autoPauseReason !== null || Date.now() - lastUserInputTime < inputCooldown;
+}
+
+// Work out whether gesture scrolling should be auto-paused and tell the sidebar when that changes
+async function updateAutoPause(windowId) {
+  let reason = null;
+  if (windowId === chrome.windows.WINDOW_ID_NONE) {
+    reason = 'unfocused';
+  } else {
+    const tab = await getActiveTab();
+    if (tab?.url?.startsWith(PERMISSIONS_PAGE_URL)) {
+      reason = 'permissions';
+    }
+  }
+
+  if (reason !== autoPauseReason) {
+    autoPauseReason = reason;
+    sidebarPort?.postMessage({ type: 'AUTO_PAUSE', reason });
+  }
+}
+
+// Remember where the reader stopped on a page (not for incognito tabs). The URL comes from the
+// sender, which Chrome always fills in for the content script's own frame.
+async function saveReadingPosition(sender, { fraction, anchor, title }) {
+  const url = readingKey(sender.url);
+  if (!url || sender.tab?.incognito) {
+    return;
+  }
+
+  const { readingPositions = [] } = await chrome.storage.local.get(['readingPositions']);
+  const positions = readingPositions.filter((position) => position.url !== url);
+  positions.unshift({ url, title: title || sender.tab?.title || url, fraction, anchor, savedAt: Date.now() });
+  await chrome.storage.local.set({ readingPositions: positions.slice(0, MAX_READING_POSITIONS) });
+}
+
+// Scroll a tab back to its saved reading position
+async function resumeReading(tab) {
+  const { readingPositions = [] } = await chrome.storage.local.get(['readingPositions']);
+  const position = positionForUrl(readingPositions, tab?.url);
+  if (!position) {
+    return false;
+  }
+
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: 'RESUME', fraction: position.fraction, anchor: position.anchor });
+    return true;
+  } catch (error) {
+    return false; // No content script (restricted page or still loading)
+  }
+}
+
+// Switch to a tab showing `url`, or open one, and resume reading there
+async function openReadingPosition(url) {
+  const tabs = await chrome.tabs.query({});
+  const tab = tabs.find((candidate) => candidate.url && readingKey(candidate.url) === url);
+  if (!tab) {
+    const created = await chrome.tabs.create({ url });
+    pendingResume.add(created.id);
+    return;
+  }
+
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+  await resumeReading(tab);
+}
+
+// Start, adjust or stop the teleprompter auto-scroll in the active tab. Needs the content script,
+// and its answer: starting fails on pages with nothing to scroll.
+async function controlAutoScroll({ command, rate, unit }) {
+  const tab = command === 'start' ? await getActiveTab() : { id: autoScrollTabId };
+  if (!tab?.id) {
+    return false;
+  }
+
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'AUTO_SCROLL', command, rate, unit });
+    if (command === 'start' && response?.success) {
+      autoScrollTabId = tab.id;
+    } else if (command === 'stop') {
+      autoScrollTabId = null;
+    }
+    return !!response?.success;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Auto-scroll ended on its own (end of page) or its tab went away
+function endAutoScroll(reason) {
+  if (autoScrollTabId === null) {
+    return;
+  }
+  autoScrollTabId = null;
+  sidebarPort?.postMessage({ type: 'AUTO_SCROLL_ENDED', reason });
+}
+
+// In smart step mode, page steps move between logical blocks, found with the active site's
+// selector rule if it has one
+async function stepOptions() {
+  await stepSettingsLoaded;
+  if (stepMode !== 'smart') {
+    return {};
+  }
+
+  // tab.url needs the tabs permission; without a URL no rule can match
+  const tab = await getActiveTab();
+  const rule = tab?.url && stepRules.find((candidate) => candidate.selector && matchesRule(candidate.pattern, tab.url));
+  return { smart: true, selector: rule?.selector || null };
+}
+
+// Pinch zoom: `scale` is the pinch distance relative to where the gesture began
+async function zoomActiveTab({ scale, begin }) {
+  const tab = await getActiveTab();
+  if (!tab?.id) {
+    return false;
+  }
+
+  try {
+    if (begin || zoomBase?.tabId !== tab.id) {
+      zoomBase = { tabId: tab.id, zoom: await chrome.tabs.getZoom(tab.id) };
+    }
+    const zoom = Math.min(Math.max(zoomBase.zoom * scale, MIN_ZOOM), MAX_ZOOM);
+    await chrome.tabs.setZoom(tab.id, Math.round(zoom * 100) / 100);
+    return true;
+  } catch (error) {
+    return false; // Pages Chrome doesn't let extensions zoom
   }
 }
 
-// Message handler
+// Run an action against the active tab. `message` carries direction/speed for scrolling.
+// Releasing a scroll (speed 0) always goes through so the page can coast to a stop.
+async function dispatchAction(action, message = {}) {
+  const release = action === 'scroll' && !message.speed;
+  if (SCROLLING_ACTIONS.has(action) && !release && scrollingSuppressed()) {
+    return false;
+  }
+
+  switch (action) {
+    case 'scroll':
+      return await sendToContentScript({ type: 'SCROLL', direction: message.direction, speed: message.speed });
+    case 'stop':
+      return await sendToContentScript({ type: 'STOP' });
+    case 'pageUp':
+    case 'pageDown':
+      return await sendToContentScript({
+        type: 'PAGE',
+        direction: action === 'pageUp' ? 'up' : 'down',
+        ...(await stepOptions())
+      });
+    case 'top':
+    case 'bottom':
+      return await sendToContentScript({ type: 'JUMP', position: action });
+    case 'back':
+    case 'forward':
+      return await navigateHistory(action);
+    case 'nextTab':
+      return await switchTab(1);
+    case 'prevTab':
+      return await switchTab(-1);
+    case 'playPause':
+    case 'seekBack':
+    case 'seekForward':
+    case 'volumeUp':
+    case 'volumeDown':
+      return await sendToContentScript({ type: 'MEDIA', command: action });
+    case 'zoom':
+      return await zoomActiveTab(message);
+    case 'resume':
+      return await resumeReading(await getActiveTab());
+    case 'autoScroll':
+      return await controlAutoScroll(message);
+    case 'pause':
+      // Pausing lives in the sidebar
+      sidebarPort?.postMessage({ type: 'SIDEBAR_COMMAND', command: 'togglePause' });
+      return !!sidebarPort;
+    default:
+      return true;
+  }
+}
+
+// Resolve a gesture to its bound action. Pointing sends a stream of messages (speed 0 on release),
+// so one-shot actions bound to pointing repeat at most every POINTING_REPEAT_INTERVAL.
+async function handleGesture(message) {
+  await Promise.all([bindingsLoaded, stepSettingsLoaded]);
+  let action = bindings[message.gesture] || 'none';
+
+  // Smart step mode turns vertical pointing into repeated block-by-block steps
+  if (action === 'scroll' && stepMode === 'smart' && (message.direction === 'up' || message.direction === 'down')) {
+    action = message.direction === 'up' ? 'pageUp' : 'pageDown';
+  }
+
+  if (message.gesture.startsWith('point_') && action !== 'scroll') {
+    const now = Date.now();
+    if (!message.speed || now - (lastPointingAction.get(message.gesture) || 0) < POINTING_REPEAT_INTERVAL) {
+      return true;
+    }
+    lastPointingAction.set(message.gesture, now);
+  }
+
+  return await dispatchAction(action, message);
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.gestureBindings) {
+    bindings = { ...DEFAULT_BINDINGS, ...changes.gestureBindings.newValue };
+  }
+  if (area === 'local' && changes.inputCooldown) {
+    inputCooldown = changes.inputCooldown.newValue ?? 1500;
+  }
+  if (area === 'local' && changes.stepMode) {
+    stepMode = changes.stepMode.newValue || 'page';
+  }
+  if (area === 'local' && changes.stepRules) {
+    stepRules = changes.stepRules.newValue || [];
+  }
+  if (area === 'local' && changes.siteRules) {
+    siteRules = changes.siteRules.newValue || [];
+    announceSiteProfile(true);
+  }
+});
+
+// Profile the active tab's site uses, by the first matching site rule
+async function activeSiteProfile() {
+  await siteRulesLoaded;
+  const tab = await getActiveTab();
+  return {
+    tabId: tab?.id ?? null,
+    url: tab?.url || null,
+    profile: profileForUrl(siteRules, tab?.url)
+  };
+}
+
+// Tell the sidebar (if open) which profile to use. `force` re-announces an unchanged profile,
+// e.g. after the rules were edited.
+async function announceSiteProfile(force = false) {
+  const site = await activeSiteProfile();
+  if (!force && site.tabId === announcedProfile.tabId && site.profile === announcedProfile.profile) {
+    return;
+  }
+  announcedProfile = { tabId: site.tabId, profile: site.profile };
+  chrome.runtime.sendMessage({ type: 'SITE_PROFILE', profile: site.profile, url: site.url }).catch(() => {});
+}
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  // Auto-scroll only runs in the tab it was started in
+  if (autoScrollTabId !== null && tabId !== autoScrollTabId) {
+    chrome.tabs.sendMessage(autoScrollTabId, { type: 'AUTO_SCROLL', command: 'stop' }).catch(() => {});
+    endAutoScroll('tab');
+  }
+  announceSiteProfile();
+  updateAutoPause();
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // A new document reports again if it's a PDF
+  if (changeInfo.status === 'loading') {
+    pdfTabs.delete(tabId);
+    if (tabId === autoScrollTabId) {
+      endAutoScroll('navigated');
+    }
+  }
+  if (changeInfo.status === 'complete' && pendingResume.delete(tabId)) {
+    resumeReading(tab);
+  }
+  if (changeInfo.url && tab.active) {
+    announceSiteProfile();
+    updateAutoPause();
+  }
+});
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+    announceSiteProfile();
+  }
+  updateAutoPause(windowId);
+});
+
+// Message handler - the sidebar sends either a detected gesture or an explicit action
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'SCROLL_COMMAND') {
-    sendToContentScript({
-      type: 'SCROLL',
-      direction: message.direction,
-      speed: message.speed
-    }).then(success => {
+    const result = message.gesture ? handleGesture(message) : dispatchAction(message.action, message);
+    result.then(success => {
       sendResponse({ success });
+    }).catch((error) => {
+      console.error('[LazyScroll] Command failed:', error.message);
+      sendResponse({ success: false });
     });
     return true; // Keep channel open for async response
+  } else if (message.type === 'USER_INPUT') {
+    // Key presses and wheel events we send through the debugger would otherwise count
+    const synthetic = (message.kind === 'key' || message.kind === 'wheel') &&
+      Date.now() - (lastDebuggerInput.get(sender.tab?.id) || 0) < SYNTHETIC_INPUT_WINDOW;
+    if (!synthetic) {
+      lastUserInputTime = Date.now();
+      // The sidebar owns the auto-scroll pause state, so it pauses the teleprompter
+      if (autoScrollTabId !== null && sender.tab?.id === autoScrollTabId) {
+        sidebarPort?.postMessage({ type: 'MANUAL_INPUT' });
+      }
+    }
+  } else if (message.type === 'HUD_UPDATE') {
+    // Only the active tab shows the HUD; others hide theirs when updates stop
+    getActiveTab().then((tab) => {
+      if (tab?.id) {
+        chrome.tabs.sendMessage(tab.id, { ...message, type: 'HUD' }).catch(() => {});
+      }
+    });
+  } else if (message.type === 'AUTO_SCROLL_ENDED') {
+    if (sender.tab?.id === autoScrollTabId) {
+      endAutoScroll(message.reason);
+    }
+  } else if (message.type === 'SAVE_READING_POSITION') {
+    saveReadingPosition(sender, message);
+  } else if (message.type === 'OPEN_READING_POSITION') {
+    openReadingPosition(message.url);
+  } else if (message.type === 'PDF_DOCUMENT') {
+    if (sender.tab?.id) {
+      pdfTabs.add(sender.tab.id);
+    }
+  } else if (message.type === 'GET_SITE_PROFILE') {
+    activeSiteProfile().then(({ profile, url }) => {
+      sendResponse({ profile, url });
+    });
+    return true;
+  }
+});
+
+// Badge on the toolbar icon: "ON" while tracking, amber while scrolling is paused
+function updateBadge({ tracking, paused }) {
+  chrome.action.setBadgeText({ text: tracking ? 'ON' : '' });
+  chrome.action.setBadgeBackgroundColor({ color: paused ? '#f59e0b' : '#16a34a' });
+  chrome.action.setTitle({
+    title: !tracking ? 'Open LazyScroll' : paused ? 'LazyScroll - scrolling paused' : 'LazyScroll - gestures active'
+  });
+}
+
+// The sidebar stays connected while open; tracking stops when it closes
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'sidebar') {
+    return;
+  }
+
+  sidebarPort = port;
+  port.onMessage.addListener((message) => {
+    if (message.type === 'TRACKING_STATE') {
+      updateBadge(message);
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    if (sidebarPort === port) {
+      sidebarPort = null;
+      updateBadge({ tracking: false, paused: false });
+      // Nothing can pause or stop the auto-scroll without the sidebar
+      if (autoScrollTabId !== null) {
+        controlAutoScroll({ command: 'stop' });
+      }
+    }
+  });
+
+  port.postMessage({ type: 'AUTO_PAUSE', reason: autoPauseReason });
+
+  if (pendingSidebarCommand) {
+    port.postMessage({ type: 'SIDEBAR_COMMAND', command: pendingSidebarCommand });
+    pendingSidebarCommand = null;
+  }
+});
+
+// Tracking runs in the side panel, so turning gestures on with the panel closed opens it
+// first and delivers the command once it connects
+chrome.commands.onCommand.addListener((command, tab) => {
+  const sidebarCommand = SIDEBAR_COMMANDS[command];
+  if (!sidebarCommand) {
+    return;
+  }
+
+  if (sidebarPort) {
+    sidebarPort.postMessage({ type: 'SIDEBAR_COMMAND', command: sidebarCommand });
+  } else if (sidebarCommand === 'toggleTracking' && tab) {
+    pendingSidebarCommand = sidebarCommand;
+    chrome.sidePanel.open({ windowId: tab.windowId }).catch((error) => {
+      pendingSidebarCommand = null;
+      console.error('[LazyScroll] Could not open side panel:', error.message);
+    });
   }
 });
 
@@ -1,14 +1,839 @@
 // LazyScroll Content Script
-// Handles scroll commands from sidebar
+// Handles scroll commands from sidebar with a frame-rate independent scroll loop,
+// scrolling the page's main inner scroller when the window itself doesn't scroll,
+// runs the steady teleprompter auto-scroll, and shows the on-page heads-up display
+
+// How quickly velocity eases toward the commanded speed, and how long the coast-down lasts (ms)
+const ACCELERATION_TIME = 120;
+const COAST_TIME = 250;
+
+// Treat the gesture as released if no command arrives for this long (ms)
+const COMMAND_TIMEOUT = 200;
+
+// Coasting stops below this speed (px/s)
+const MIN_VELOCITY = 10;
+
+// Report the user's own input to the background at most this often (ms)
+const INPUT_REPORT_INTERVAL = 250;
+
+// Pressing only these doesn't count as typing
+const MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'Meta']);
+
+// Save the reading position once gesture scrolling has been still for this long (ms)
+const READING_SAVE_DELAY = 1000;
+
+// Text blocks that can anchor a reading position, and how much of their text is kept
+const ANCHOR_BLOCKS = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, dd, td';
+const ANCHOR_LENGTH = 80;
+
+// Logical blocks for smart stepping, most specific first; the first kind with at least two
+// visible blocks on the page is used when the site has no selector rule
+const BLOCK_SELECTORS = [
+  // Search results (Google, Bing, DuckDuckGo)
+  '#rso .g, #rso [data-hveid] > .MjjYud, .b_algo, [data-testid="result"]',
+  // Feed entries
+  '[role="feed"] > *, [role="feed"] article',
+  'article',
+  'h1, h2, h3'
+];
+
+// A block within this distance of the top of the viewport counts as the current one (px)
+const STEP_TOLERANCE = 12;
+
+// Reading density assumed for words-per-minute auto-scroll when the page has no paragraphs to
+// measure (px of page per word)
+const DEFAULT_PX_PER_WORD = 3;
+
+// Heads-up display width per size setting (px), and how long it stays up without an update from
+// the sidebar (ms) - tracking stopped, or another tab became active
+const HUD_WIDTHS = { small: 120, medium: 160, large: 240 };
+const HUD_TIMEOUT = 1000;
+
+// HUD corner offsets from the viewport edge (px)
+const HUD_MARGIN = 16;
+
+const DIRECTION_ARROWS = { up: '↑', down: '↓', left: '←', right: '→' };
+
+// How far media seek and volume actions move (seconds, and fraction of full volume)
+const SEEK_STEP = 10;
+const VOLUME_STEP = 0.1;
+
+// Content types of Chrome's PDF viewer document and the plugin embed inside it
+const PDF_TYPES = ['application/pdf', 'application/x-google-chrome-pdf'];
+
+// Direction names map to an axis and a sign
+const DIRECTIONS = {
+  up: { axis: 'y', sign: -1 },
+  down: { axis: 'y', sign: 1 },
+  left: { axis: 'x', sign: -1 },
+  right: { axis: 'x', sign: 1 }
+};
+
+// Per-axis scroll state; targets are elements, or null for the window
+const scroller = {
+  x: { target: null, velocity: 0, targetVelocity: 0, remainder: 0 },
+  y: { target: null, velocity: 0, targetVelocity: 0, remainder: 0 },
+  lastCommandTime: 0,
+  lastFrameTime: 0,
+  frameId: null
+};
+
+// Scroll target discovery state per axis, remembered until the page, pointer or focus changes
+const targetCache = {
+  x: { element: null, url: null, stale: true },
+  y: { element: null, url: null, stale: true }
+};
+
+let lastPointer = null;
+let lastInputReport = 0;
+let highlightScrollTarget = false;
+let highlightEl = null;
+let highlightTimer = null;
+let readingSaveTimer = null;
+
+// HUD settings from the sidebar, and its elements once created
+let hudSettings = { enabled: false, position: 'bottom-right', size: 'medium', opacity: 0.85, thumbnail: false };
+const hud = { host: null, panel: null, dot: null, text: null, detail: null, thumbnail: null, hideTimer: null };
+
+// Block the last smart step landed on, and the outlined block with its original inline outline
+let stepBlock = null;
+let stepHighlight = null;
+let stepHighlightTimer = null;
+
+// Teleprompter auto-scroll: a steady downward scroll at `speed` px/s, independent of gestures
+const autoScroll = {
+  active: false,
+  paused: false,
+  speed: 0,
+  pxPerWord: DEFAULT_PX_PER_WORD,
+  target: null,
+  remainder: 0,
+  lastFrameTime: 0,
+  frameId: null
+};
+
+function isScrollable(el, axis) {
+  const overflows = axis === 'x'
+    ? el.scrollWidth > el.clientWidth + 1
+    : el.scrollHeight > el.clientHeight + 1;
+  if (!overflows) {
+    return false;
+  }
+  const overflow = getComputedStyle(el)[axis === 'x' ? 'overflowX' : 'overflowY'];
+  return overflow === 'auto' || overflow === 'scroll' || overflow === 'overlay';
+}
+
+function windowScrolls(axis) {
+  const root = document.scrollingElement || document.documentElement;
+  const overflow = getComputedStyle(document.body)[axis === 'x' ? 'overflowX' : 'overflowY'];
+  const overflows = axis === 'x'
+    ? root.scrollWidth > window.innerWidth + 1
+    : root.scrollHeight > window.innerHeight + 1;
+  return overflows && overflow !== 'hidden';
+}
+
+// Nearest scrollable ancestor, or null when the chain reaches the document
+function scrollableAncestor(el, axis) {
+  while (el && el !== document.body && el !== document.documentElement) {
+    if (isScrollable(el, axis)) {
+      return el;
+    }
+    el = el.parentElement || el.getRootNode()?.host || null;
+  }
+  return null;
+}
+
+function visibleArea(el) {
+  const rect = el.getBoundingClientRect();
+  const w = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+  const h = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+  return w > 0 && h > 0 ? w * h : 0;
+}
+
+function largestScrollableElement(axis) {
+  let best = null;
+  let bestArea = 0;
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT);
+
+  for (let el = walker.nextNode(); el; el = walker.nextNode()) {
+    if (!isScrollable(el, axis)) continue;
+    const area = visibleArea(el);
+    if (area > bestArea) {
+      best = el;
+      bestArea = area;
+    }
+  }
+  return best;
+}
+
+// Element under the pointer, then focus, then the window, then the largest visible scroller.
+// Returns null for the window.
+function findScrollTarget(axis) {
+  if (lastPointer) {
+    const hovered = scrollableAncestor(document.elementFromPoint(lastPointer.x, lastPointer.y), axis);
+    if (hovered) return hovered;
+  }
+
+  const focused = document.activeElement;
+  if (focused && focused !== document.body) {
+    const focusedScroller = scrollableAncestor(focused, axis);
+    if (focusedScroller) return focusedScroller;
+  }
+
+  if (windowScrolls(axis)) {
+    return null;
+  }
+
+  return largestScrollableElement(axis);
+}
+
+function getScrollTarget(axis) {
+  const cache = targetCache[axis];
+  const cached = cache.element;
+  const detached = cached && !(cached.isConnected && isScrollable(cached, axis));
+
+  if (cache.stale || detached || cache.url !== location.href) {
+    cache.element = findScrollTarget(axis);
+    cache.url = location.href;
+    cache.stale = false;
+    showTargetHighlight(cache.element);
+  }
+  return cache.element;
+}
+
+// Debug outline around the element being scrolled
+function showTargetHighlight(el) {
+  if (!highlightScrollTarget) return;
+
+  if (!highlightEl) {
+    highlightEl = document.createElement('div');
+    highlightEl.style.cssText = [
+      'position: fixed',
+      'pointer-events: none',
+      'z-index: 2147483647',
+      'border: 2px dashed #22d3ee',
+      'border-radius: 4px',
+      'box-shadow: inset 0 0 0 9999px rgba(34, 211, 238, 0.06)',
+      'transition: opacity 0.3s'
+    ].join(';');
+    document.documentElement.appendChild(highlightEl);
+  }
+
+  const rect = el ? el.getBoundingClientRect() : { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+  highlightEl.style.left = `${rect.left}px`;
+  highlightEl.style.top = `${rect.top}px`;
+  highlightEl.style.width = `${rect.width}px`;
+  highlightEl.style.height = `${rect.height}px`;
+  highlightEl.style.opacity = '1';
+
+  clearTimeout(highlightTimer);
+  highlightTimer = setTimeout(() => {
+    highlightEl.style.opacity = '0';
+  }, 1000);
+}
+
+document.addEventListener('mousemove', (event) => {
+  lastPointer = { x: event.clientX, y: event.clientY };
+  targetCache.x.stale = targetCache.y.stale = true;
+}, { capture: true, passive: true });
+
+document.addEventListener('focusin', () => {
+  targetCache.x.stale = targetCache.y.stale = true;
+}, true);
+
+chrome.storage.local.get(['highlightScrollTarget', 'hud'], (result) => {
+  highlightScrollTarget = !!result.highlightScrollTarget;
+  hudSettings = { ...hudSettings, ...result.hud };
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.highlightScrollTarget) {
+    highlightScrollTarget = !!changes.highlightScrollTarget.newValue;
+  }
+  if (area === 'local' && changes.hud) {
+    hudSettings = { ...hudSettings, ...changes.hud.newValue };
+    if (hud.host) {
+      layoutHud();
+    }
+    if (!hudSettings.enabled) {
+      hideHud();
+    }
+  }
+});
+
+// Speed is in pixels per second; a speed of 0 releases the gesture and lets the page coast.
+// Commanding one axis releases the other, which coasts out on its own.
+function setTargetVelocity(direction, speed) {
+  const { axis, sign } = DIRECTIONS[direction] || DIRECTIONS.down;
+  const other = axis === 'x' ? 'y' : 'x';
+  const state = scroller[axis];
+
+  if (speed > 0 && state.velocity === 0) {
+    state.target = getScrollTarget(axis);
+  }
+  state.targetVelocity = sign * speed;
+  scroller[other].targetVelocity = 0;
+  scroller.lastCommandTime = performance.now();
+
+  if (!scroller.frameId && speed > 0) {
+    scroller.lastFrameTime = scroller.lastCommandTime;
+    scroller.frameId = requestAnimationFrame(scrollFrame);
+  }
+}
+
+// Ease one axis toward its target velocity (or coast) and return whole pixels to scroll
+function advanceAxis(state, elapsed) {
+  if (state.targetVelocity !== 0) {
+    state.velocity += (state.targetVelocity - state.velocity) * (1 - Math.exp(-elapsed / ACCELERATION_TIME));
+  } else {
+    state.velocity *= Math.exp(-elapsed / COAST_TIME);
+  }
+
+  if (state.targetVelocity === 0 && Math.abs(state.velocity) < MIN_VELOCITY) {
+    state.velocity = 0;
+    state.remainder = 0;
+    return 0;
+  }
+
+  // Accumulate sub-pixel movement so slow speeds still scroll on low-DPI screens
+  state.remainder += state.velocity * (elapsed / 1000);
+  const step = Math.trunc(state.remainder);
+  state.remainder -= step;
+  return step;
+}
+
+function scrollFrame(now) {
+  // Cap the step so a backgrounded tab doesn't jump when it resumes
+  const elapsed = Math.min(now - scroller.lastFrameTime, 100);
+  scroller.lastFrameTime = now;
+
+  if (now - scroller.lastCommandTime > COMMAND_TIMEOUT) {
+    scroller.x.targetVelocity = 0;
+    scroller.y.targetVelocity = 0;
+  }
+
+  const stepX = advanceAxis(scroller.x, elapsed);
+  const stepY = advanceAxis(scroller.y, elapsed);
+
+  if (stepX !== 0) {
+    (scroller.x.target || window).scrollBy({ left: stepX, behavior: 'auto' });
+  }
+  if (stepY !== 0) {
+    (scroller.y.target || window).scrollBy({ top: stepY, behavior: 'auto' });
+  }
+
+  if (scroller.x.velocity === 0 && scroller.y.velocity === 0) {
+    scroller.frameId = null;
+    scheduleReadingPosition();
+    return;
+  }
+
+  scroller.frameId = requestAnimationFrame(scrollFrame);
+}
+
+// Halt immediately, without coasting
+function stopScrolling() {
+  if (scroller.frameId) {
+    cancelAnimationFrame(scroller.frameId);
+    scroller.frameId = null;
+  }
+  ['x', 'y'].forEach((axis) => {
+    scroller[axis].velocity = 0;
+    scroller[axis].targetVelocity = 0;
+    scroller[axis].remainder = 0;
+  });
+}
+
+// Scroll by most of a viewport, keeping a little overlap for context
+function scrollPage(direction) {
+  stopScrolling();
+  const target = getScrollTarget('y');
+  const viewport = target ? target.clientHeight : window.innerHeight;
+  const distance = Math.round(viewport * 0.9) * (direction === 'up' ? -1 : 1);
+  (target || window).scrollBy({ top: distance, behavior: 'smooth' });
+}
+
+function jumpTo(position) {
+  stopScrolling();
+  const target = getScrollTarget('y');
+  const element = target || document.scrollingElement || document.documentElement;
+  const top = position === 'top' ? 0 : element.scrollHeight;
+  (target || window).scrollTo({ top, behavior: 'smooth' });
+}
+
+// Visible blocks matching `selector`, in page order, with nested duplicates at the same spot dropped
+function findBlocks(selector) {
+  let elements;
+  try {
+    elements = Array.from(document.querySelectorAll(selector));
+  } catch (error) {
+    console.warn('[LazyScroll] Invalid step selector:', selector);
+    return [];
+  }
+
+  const blocks = [];
+  let lastTop = null;
+  elements.forEach((element) => {
+    const rect = element.getBoundingClientRect();
+    if (rect.height <= 0 || rect.width <= 0) {
+      return;
+    }
+    if (lastTop !== null && Math.abs(rect.top - lastTop) < 2) {
+      return;
+    }
+    blocks.push(element);
+    lastTop = rect.top;
+  });
+  return blocks;
+}
+
+function pageBlocks(selector) {
+  if (selector) {
+    return findBlocks(selector);
+  }
+  for (const candidate of BLOCK_SELECTORS) {
+    const blocks = findBlocks(candidate);
+    if (blocks.length >= 2) {
+      return blocks;
+    }
+  }
+  return [];
+}
+
+function clearStepHighlight() {
+  clearTimeout(stepHighlightTimer);
+  if (stepHighlight) {
+    stepHighlight.block.style.outline = stepHighlight.outline;
+    stepHighlight = null;
+  }
+}
+
+// Briefly outline the block a smart step landed on, restoring the page's own outline after
+function highlightBlock(block) {
+  clearStepHighlight();
+  stepHighlight = { block, outline: block.style.outline };
+  block.style.outline = '3px solid rgba(3, 125, 214, 0.7)';
+  stepHighlightTimer = setTimeout(clearStepHighlight, 1200);
+}
+
+// Move to the next or previous logical block. Returns false when there's no block that way, so
+// the caller can fall back to paging.
+function stepToBlock(direction, selector) {
+  const blocks = pageBlocks(selector);
+  if (!blocks.length) {
+    return false;
+  }
+
+  stopScrolling();
+  const target = getScrollTarget('y');
+  const viewportTop = target ? target.getBoundingClientRect().top : 0;
+  const offsets = blocks.map((block) => block.getBoundingClientRect().top - viewportTop);
+
+  // Step from the block we last landed on while it's still at the top; otherwise from the
+  // viewport's top edge
+  let index = blocks.indexOf(stepBlock);
+  if (index !== -1 && Math.abs(offsets[index]) > window.innerHeight * 0.3) {
+    index = -1;
+  }
+
+  let next;
+  if (direction === 'up') {
+    next = index !== -1 ? blocks[index - 1] : blocks.filter((block, i) => offsets[i] < -STEP_TOLERANCE).pop();
+  } else {
+    next = index !== -1 ? blocks[index + 1] : blocks.find((block, i) => offsets[i] > STEP_TOLERANCE);
+  }
+  if (!next) {
+    return false;
+  }
+
+  // scrollIntoView honors the site's scroll-padding, so sticky headers don't cover the block
+  next.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  highlightBlock(next);
+  stepBlock = next;
+  return true;
+}
+
+// Scroll offset and range of the vertical scroll target (null for the window)
+function verticalScrollState(target) {
+  const element = target || document.scrollingElement || document.documentElement;
+  return {
+    top: element.scrollTop,
+    range: element.scrollHeight - element.clientHeight,
+    viewportTop: target ? target.getBoundingClientRect().top : 0
+  };
+}
+
+// Opening words of the first text block at the top of the viewport, so the spot can be found
+// again when the page's length has changed since
+function textAnchor(target, viewportTop) {
+  for (const block of (target || document).querySelectorAll(ANCHOR_BLOCKS)) {
+    const rect = block.getBoundingClientRect();
+    if (rect.height > 0 && rect.bottom > viewportTop) {
+      const text = block.textContent.replace(/\s+/g, ' ').trim();
+      if (text.length >= 20) {
+        return text.slice(0, ANCHOR_LENGTH);
+      }
+    }
+  }
+  return null;
+}
+
+// Gesture scrolling stopped: save where the reader is once the page has settled
+function scheduleReadingPosition() {
+  clearTimeout(readingSaveTimer);
+  readingSaveTimer = setTimeout(saveReadingPosition, READING_SAVE_DELAY);
+}
+
+function saveReadingPosition() {
+  const target = getScrollTarget('y');
+  const { top, range, viewportTop } = verticalScrollState(target);
+  if (range <= 0) {
+    return;
+  }
+
+  chrome.runtime.sendMessage({
+    type: 'SAVE_READING_POSITION',
+    title: document.title,
+    fraction: Math.min(Math.max(top / range, 0), 1),
+    anchor: textAnchor(target, viewportTop)
+  }).catch(() => {});
+}
+
+// Scroll back to a saved position: to the anchor text if it's still on the page (the match
+// nearest the saved fraction), otherwise to the same fraction of the page
+function resumeReadingPosition({ fraction, anchor }) {
+  stopScrolling();
+  const target = getScrollTarget('y');
+  const { top, range, viewportTop } = verticalScrollState(target);
+  const savedTop = fraction * range;
+
+  let best = null;
+  let bestDistance = Infinity;
+  if (anchor) {
+    (target || document).querySelectorAll(ANCHOR_BLOCKS).forEach((block) => {
+      if (!block.textContent.replace(/\s+/g, ' ').trim().startsWith(anchor)) {
+        return;
+      }
+      const blockTop = block.getBoundingClientRect().top - viewportTop + top;
+      if (Math.abs(blockTop - savedTop) < bestDistance) {
+        best = blockTop;
+        bestDistance = Math.abs(blockTop - savedTop);
+      }
+    });
+  }
+
+  (target || window).scrollTo({ top: best ?? savedTop, behavior: 'smooth' });
+}
+
+// How far the page scrolls per word of its text, from the height and word count of its paragraphs
+function pixelsPerWord() {
+  let words = 0;
+  let height = 0;
+  for (const block of document.querySelectorAll('p, li, blockquote, dd')) {
+    const count = block.textContent.split(/\s+/).filter(Boolean).length;
+    const blockHeight = block.getBoundingClientRect().height;
+    if (count >= 5 && blockHeight > 0) {
+      words += count;
+      height += blockHeight;
+    }
+    if (words > 2000) {
+      break;
+    }
+  }
+  return words ? height / words : DEFAULT_PX_PER_WORD;
+}
+
+function autoScrollSpeed(rate, unit) {
+  return unit === 'wpm' ? (rate / 60) * autoScroll.pxPerWord : rate;
+}
+
+function autoScrollFrame(now) {
+  const elapsed = Math.min(now - autoScroll.lastFrameTime, 100);
+  autoScroll.lastFrameTime = now;
+
+  autoScroll.remainder += autoScroll.speed * (elapsed / 1000);
+  const step = Math.trunc(autoScroll.remainder);
+  autoScroll.remainder -= step;
+  if (step !== 0) {
+    (autoScroll.target || window).scrollBy({ top: step, behavior: 'auto' });
+  }
+
+  // Reached the bottom: stop and let the sidebar know
+  const { top, range } = verticalScrollState(autoScroll.target);
+  if (top >= range - 1) {
+    stopAutoScroll();
+    chrome.runtime.sendMessage({ type: 'AUTO_SCROLL_ENDED', reason: 'end' }).catch(() => {});
+    return;
+  }
+
+  autoScroll.frameId = requestAnimationFrame(autoScrollFrame);
+}
+
+function runAutoScroll() {
+  if (!autoScroll.frameId) {
+    autoScroll.lastFrameTime = performance.now();
+    autoScroll.frameId = requestAnimationFrame(autoScrollFrame);
+  }
+}
+
+function haltAutoScroll() {
+  if (autoScroll.frameId) {
+    cancelAnimationFrame(autoScroll.frameId);
+    autoScroll.frameId = null;
+  }
+}
+
+function stopAutoScroll() {
+  haltAutoScroll();
+  autoScroll.active = false;
+  autoScroll.paused = false;
+  autoScroll.remainder = 0;
+  scheduleReadingPosition();
+}
+
+// Commands from the sidebar: start, rate (new speed), pause, resume and stop
+function controlAutoScroll({ command, rate, unit }) {
+  if (command === 'start') {
+    stopScrolling();
+    autoScroll.target = getScrollTarget('y');
+    if (verticalScrollState(autoScroll.target).range <= 0) {
+      return false;
+    }
+    autoScroll.pxPerWord = pixelsPerWord();
+    autoScroll.speed = autoScrollSpeed(rate, unit);
+    autoScroll.active = true;
+    autoScroll.paused = false;
+    runAutoScroll();
+  } else if (command === 'stop') {
+    stopAutoScroll();
+  } else if (!autoScroll.active) {
+    return false;
+  } else if (command === 'rate') {
+    autoScroll.speed = autoScrollSpeed(rate, unit);
+  } else if (command === 'pause') {
+    autoScroll.paused = true;
+    haltAutoScroll();
+  } else if (command === 'resume') {
+    autoScroll.paused = false;
+    runAutoScroll();
+  }
+  return true;
+}
+
+// The playing media element, or else the largest visible one
+function findActiveMedia() {
+  const media = Array.from(document.querySelectorAll('video, audio'));
+  const playing = media.find((el) => !el.paused && !el.ended && el.readyState > 2);
+  if (playing) {
+    return playing;
+  }
+
+  let best = null;
+  let bestArea = -1;
+  media.forEach((el) => {
+    const area = el.tagName === 'AUDIO' ? 0 : visibleArea(el);
+    if (area > bestArea) {
+      best = el;
+      bestArea = area;
+    }
+  });
+  return best;
+}
+
+function controlMedia(command) {
+  const media = findActiveMedia();
+  if (!media) {
+    return false;
+  }
+
+  if (command === 'playPause') {
+    if (media.paused) {
+      media.play().catch(() => {});
+    } else {
+      media.pause();
+    }
+  } else if (command === 'seekBack') {
+    media.currentTime = Math.max(media.currentTime - SEEK_STEP, 0);
+  } else if (command === 'seekForward') {
+    // Live streams report an infinite duration
+    const end = Number.isFinite(media.duration) ? media.duration : Infinity;
+    media.currentTime = Math.min(media.currentTime + SEEK_STEP, end);
+  } else if (command === 'volumeUp') {
+    media.muted = false;
+    media.volume = Math.min(media.volume + VOLUME_STEP, 1);
+  } else if (command === 'volumeDown') {
+    media.volume = Math.max(media.volume - VOLUME_STEP, 0);
+  }
+  return true;
+}
+
+// The user scrolling, typing, clicking or selecting themselves halts any gesture scroll at once,
+// and the background holds off further gesture scrolling for a cooldown
+function reportUserInput(kind) {
+  stopScrolling();
+
+  const now = Date.now();
+  if (now - lastInputReport < INPUT_REPORT_INTERVAL) {
+    return;
+  }
+  lastInputReport = now;
+  chrome.runtime.sendMessage({ type: 'USER_INPUT', kind }).catch(() => {});
+}
+
+window.addEventListener('wheel', (event) => {
+  if (event.isTrusted) reportUserInput('wheel');
+}, { capture: true, passive: true });
+
+window.addEventListener('keydown', (event) => {
+  if (event.isTrusted && !MODIFIER_KEYS.has(event.key)) reportUserInput('key');
+}, true);
+
+window.addEventListener('pointerdown', (event) => {
+  if (event.isTrusted) reportUserInput('pointer');
+}, true);
+
+document.addEventListener('selectionchange', () => {
+  if (document.getSelection()?.isCollapsed === false) reportUserInput('selection');
+});
+
+// The HUD lives in a closed shadow root so page styles can't reach it, and ignores the pointer
+function createHud() {
+  hud.host = document.createElement('div');
+  hud.host.style.cssText = 'all: initial; position: fixed; z-index: 2147483647; pointer-events: none;';
+
+  const root = hud.host.attachShadow({ mode: 'closed' });
+  root.innerHTML = `
+    <style>
+      .panel {
+        box-sizing: border-box;
+        padding: 8px;
+        background: rgba(20, 22, 24, 0.9);
+        border: 1px solid rgba(255, 255, 255, 0.12);
+        border-radius: 10px;
+        color: #e6e8ea;
+        font: 12px/1.4 system-ui, -apple-system, sans-serif;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+        transition: opacity 0.2s;
+      }
+      .thumbnail { display: block; width: 100%; border-radius: 6px; margin-bottom: 6px; }
+      .thumbnail[hidden] { display: none; }
+      .status { display: flex; align-items: center; gap: 6px; font-weight: 600; }
+      .dot { flex: none; width: 8px; height: 8px; border-radius: 50%; background: #6a737d; }
+      .dot.active { background: #16a34a; }
+      .dot.paused { background: #f59e0b; }
+      .detail { margin-top: 2px; color: #9aa0a6; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    </style>
+    <div class="panel">
+      <img class="thumbnail" alt="" hidden>
+      <div class="status"><span class="dot"></span><span class="text"></span></div>
+      <div class="detail"></div>
+    </div>
+  `;
+  hud.panel = root.querySelector('.panel');
+  hud.thumbnail = root.querySelector('.thumbnail');
+  hud.dot = root.querySelector('.dot');
+  hud.text = root.querySelector('.text');
+  hud.detail = root.querySelector('.detail');
+
+  layoutHud();
+  document.documentElement.appendChild(hud.host);
+}
+
+function layoutHud() {
+  const [vertical, horizontal] = hudSettings.position.split('-');
+  hud.host.style.top = vertical === 'top' ? `${HUD_MARGIN}px` : 'auto';
+  hud.host.style.bottom = vertical === 'bottom' ? `${HUD_MARGIN}px` : 'auto';
+  hud.host.style.left = horizontal === 'left' ? `${HUD_MARGIN}px` : 'auto';
+  hud.host.style.right = horizontal === 'right' ? `${HUD_MARGIN}px` : 'auto';
+  hud.panel.style.width = `${HUD_WIDTHS[hudSettings.size] || HUD_WIDTHS.medium}px`;
+  hud.panel.style.opacity = hudSettings.opacity;
+}
+
+function hideHud() {
+  clearTimeout(hud.hideTimer);
+  if (hud.host) {
+    hud.host.style.display = 'none';
+  }
+}
+
+// Fullscreen video is for watching; the HUD would only get in the way
+function fullscreenVideo() {
+  const element = document.fullscreenElement;
+  return !!element && (element.tagName === 'VIDEO' || !!element.querySelector('video'));
+}
+
+// state: { text, tone ('active' | 'paused' | ''), direction, speed, detail, thumbnail }
+function showHud(state) {
+  if (!hudSettings.enabled || fullscreenVideo()) {
+    hideHud();
+    return;
+  }
+  if (!hud.host) {
+    createHud();
+  }
+
+  hud.host.style.display = 'block';
+  hud.text.textContent = state.text;
+  hud.dot.className = `dot ${state.tone || ''}`;
+  hud.detail.textContent = state.direction
+    ? `${DIRECTION_ARROWS[state.direction] || ''} ${state.speed} px/s`
+    : state.detail || '';
+
+  const thumbnail = hudSettings.thumbnail && state.thumbnail;
+  hud.thumbnail.hidden = !thumbnail;
+  if (thumbnail) {
+    hud.thumbnail.src = state.thumbnail;
+  }
+
+  clearTimeout(hud.hideTimer);
+  hud.hideTimer = setTimeout(hideHud, HUD_TIMEOUT);
+}
+
+document.addEventListener('fullscreenchange', () => {
+  if (fullscreenVideo()) {
+    hideHud();
+  }
+});
+
+// The PDF viewer can't be scrolled from here, so the background drives it through the debugger.
+// It only recognizes .pdf URLs itself.
+if (PDF_TYPES.includes(document.contentType) ||
+  document.querySelector(PDF_TYPES.map((type) => `body > embed[type="${type}"]`).join(', '))) {
+  chrome.runtime.sendMessage({ type: 'PDF_DOCUMENT' }).catch(() => {});
+}
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'SCROLL') {
-    const scrollAmount = message.direction === 'up' ? -message.speed : message.speed;
-    window.scrollBy({
-      top: scrollAmount,
-      behavior: 'auto'
-    });
+    setTargetVelocity(message.direction, message.speed);
+    sendResponse({ success: true });
+  } else if (message.type === 'STOP') {
+    stopScrolling();
+    scheduleReadingPosition();
+    sendResponse({ success: true });
+  } else if (message.type === 'PAGE') {
+    if (!message.smart || !stepToBlock(message.direction, message.selector)) {
+      scrollPage(message.direction);
+    }
+    scheduleReadingPosition();
+    sendResponse({ success: true });
+  } else if (message.type === 'JUMP') {
+    jumpTo(message.position);
+    scheduleReadingPosition();
+    sendResponse({ success: true });
+  } else if (message.type === 'HUD') {
+    if (message.visible) {
+      showHud(message);
+    } else {
+      hideHud();
+    }
+    sendResponse({ success: true });
+  } else if (message.type === 'AUTO_SCROLL') {
+    sendResponse({ success: controlAutoScroll(message) });
+  } else if (message.type === 'RESUME') {
+    resumeReadingPosition(message);
     sendResponse({ success: true });
+  } else if (message.type === 'MEDIA') {
+    sendResponse({ success: controlMedia(message.command) });
   }
   return true;
 });
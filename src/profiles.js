@@ -0,0 +1,46 @@
+// LazyScroll Profiles - Named settings profiles and the per-site rules that select them,
+// shared by the sidebar and background
+
+export const DEFAULT_PROFILE = 'Default';
+
+// Settings a profile covers; everything else stays global
+export const PROFILE_KEYS = [
+  'scrollSpeed', 'speedMode', 'speedCurve', 'minSpeed', 'maxSpeed',
+  'deadzone', 'invertScroll', 'scrollAnchor', 'gestureBindings'
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A rule pattern is either a hostname, matching that host and its subdomains
+// ("github.com"), or a wildcard pattern matched against host + path ("*.pdf",
+// "github.com/*/pull/*")
+export function matchesRule(pattern, url) {
+  const trimmed = (pattern || '').trim().toLowerCase();
+  if (!trimmed) {
+    return false;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (trimmed.includes('*') || trimmed.includes('/')) {
+    const target = (parsed.host + parsed.pathname).toLowerCase();
+    const regex = new RegExp(`^${trimmed.split('*').map(escapeRegExp).join('.*')}$`);
+    return regex.test(target);
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  return host === trimmed || host.endsWith(`.${trimmed}`);
+}
+
+// First matching rule wins; pages without a rule use the default profile
+export function profileForUrl(rules, url) {
+  const rule = url && (rules || []).find((candidate) => matchesRule(candidate.pattern, url));
+  return rule ? rule.profile : DEFAULT_PROFILE;
+}
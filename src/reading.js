@@ -0,0 +1,21 @@
+// LazyScroll Reading Positions - Where the user stopped gesture scrolling, per page
+
+// How many pages to remember, most recent first
+export const MAX_READING_POSITIONS = 20;
+
+// Positions are kept per page, ignoring the fragment so in-page links share one entry
+export function readingKey(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Saved position for `url`, if any. positions: [{ url, title, fraction, anchor, savedAt }]
+export function positionForUrl(positions, url) {
+  const key = readingKey(url);
+  return key ? positions.find((position) => position.url === key) || null : null;
+}